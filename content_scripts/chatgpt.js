@@ -11,14 +11,19 @@
 
     let pendingTransactionId = null;
     let isWaitingForResponse = false;
+    let cancelRequested = false; // set by the kill switch to abandon the current wait
 
     // ── Message Listener ───────────────────────────────────────
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.type === 'INJECT_PROMPT') {
             console.log('[Autonion] Received INJECT_PROMPT');
             pendingTransactionId = message.transactionId;
+            cancelRequested = false;
             injectPrompt(message.prompt);
             sendResponse({ ok: true });
+        } else if (message.type === 'CANCEL_PROMPT') {
+            cancelRequested = true;
+            sendResponse({ ok: true });
         }
         return false;
     });
@@ -138,6 +143,13 @@
         await sleep(3000);
 
         while (elapsed < maxWait) {
+            if (cancelRequested) {
+                console.log('[Autonion] ChatGPT response wait cancelled');
+                cancelRequested = false;
+                isWaitingForResponse = false;
+                return;
+            }
+
             // Check if ChatGPT is still generating (look for stop button or streaming indicator)
             const isStreaming = isStillStreaming();
 
@@ -11,14 +11,19 @@
 
     let pendingTransactionId = null;
     let isWaitingForResponse = false;
+    let cancelRequested = false; // set by the kill switch to abandon the current wait
 
     // ── Message Listener ───────────────────────────────────────
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.type === 'INJECT_PROMPT') {
             console.log('[Autonion] Received INJECT_PROMPT for Gemini');
             pendingTransactionId = message.transactionId;
+            cancelRequested = false;
             injectPrompt(message.prompt);
             sendResponse({ ok: true });
+        } else if (message.type === 'CANCEL_PROMPT') {
+            cancelRequested = true;
+            sendResponse({ ok: true });
         }
         return false;
     });
@@ -147,6 +152,13 @@
         await sleep(3000);
 
         while (elapsed < maxWait) {
+            if (cancelRequested) {
+                console.log('[Autonion] Gemini response wait cancelled');
+                cancelRequested = false;
+                isWaitingForResponse = false;
+                return;
+            }
+
             const isStreaming = isStillStreaming();
 
             if (!isStreaming && elapsed > 5000) {
@@ -0,0 +1,208 @@
+// ============================================================
+// Autonion — Action Recorder Content Script
+// Injected (with utils/schema.js and utils/dom-executor.js) into
+// the tab being recorded; turns the user's clicks, typing,
+// selections and key presses into plan steps
+// ============================================================
+
+(function () {
+    if (window.__autonion_recorder_loaded) return;
+    window.__autonion_recorder_loaded = true;
+
+    const { executeDOMClick, executeDOMType } = globalThis.AutonionDOMExecutor;
+
+    // Keys recorded as press_key steps. In a text field only Enter and Escape
+    // count (the rest edit the text, which type_into captures).
+    const RECORDED_KEYS = ['Enter', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End'];
+    const FIELD_KEYS = ['Enter', 'Escape'];
+    const CLICKABLE = 'a, button, summary, label, input[type="submit"], input[type="button"], input[type="checkbox"], input[type="radio"], ' +
+        '[role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="option"], [role="checkbox"], [role="switch"], [onclick]';
+    const MAX_TARGET_TEXT = 80;
+
+    let recording = false;
+    let pendingField = null; // text field typed into, sent as one type_into when the user moves on
+    let labelClickControl = null; // a label click also clicks its control; that second click is skipped
+
+    console.log('[Autonion] Recorder content script loaded');
+
+    // ── Message Listener ───────────────────────────────────────
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'RECORDER_START') {
+            recording = true;
+            sendResponse({ ok: true });
+        } else if (message.type === 'RECORDER_STOP') {
+            flushTyping(false);
+            recording = false;
+            sendResponse({ ok: true });
+        }
+        return false;
+    });
+
+    // ── Event Capture ──────────────────────────────────────────
+    // Capture phase, so pages that stop propagation are still seen. Only
+    // trusted events count: the executor's own synthetic events are skipped.
+    document.addEventListener('click', (event) => {
+        if (!recording || !event.isTrusted) return;
+        const el = event.target.closest?.(CLICKABLE) || event.target;
+        if (!(el instanceof Element)) return;
+        // Focusing a field is implied by typing into it
+        if (isTextField(el) || el.tagName === 'SELECT' || el.tagName === 'OPTION') return;
+        if (el.tagName === 'LABEL' && el.control && (isTextField(el.control) || el.control.tagName === 'SELECT')) return;
+        if (el === labelClickControl) {
+            labelClickControl = null;
+            return;
+        }
+        labelClickControl = el.tagName === 'LABEL' ? el.control : null;
+
+        flushTyping(false);
+        recordStep({ action: 'click_element', params: describeClickTarget(el) });
+    }, true);
+
+    document.addEventListener('input', (event) => {
+        if (!recording || !event.isTrusted || !isTextField(event.target)) return;
+        if (pendingField && pendingField !== event.target) flushTyping(false);
+        pendingField = event.target;
+    }, true);
+
+    document.addEventListener('change', (event) => {
+        if (!recording || !event.isTrusted) return;
+        const el = event.target;
+        if (el.tagName === 'SELECT') {
+            flushTyping(false);
+            const option = el.options[el.selectedIndex];
+            const target = el.getAttribute('name') || el.getAttribute('aria-label') || el.id;
+            if (!option || !target) return;
+            recordStep({ action: 'select_option', params: { target, value: option.textContent.trim() || option.value } });
+        } else if (el === pendingField) {
+            flushTyping(false);
+        }
+    }, true);
+
+    document.addEventListener('keydown', (event) => {
+        if (!recording || !event.isTrusted || event.ctrlKey || event.metaKey || event.altKey) return;
+        const el = event.target instanceof Element ? event.target : document.activeElement;
+        const inField = el && isTextField(el);
+        if (!(inField ? FIELD_KEYS : RECORDED_KEYS).includes(event.key)) return;
+
+        // Enter right after typing is part of the type_into step
+        if (event.key === 'Enter' && inField && pendingField === el) {
+            flushTyping(true);
+            return;
+        }
+        flushTyping(false);
+        const params = { key: event.key };
+        const target = inField && (el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('name'));
+        if (target) params.target = target;
+        recordStep({ action: 'press_key', params });
+    }, true);
+
+    document.addEventListener('focusout', (event) => {
+        if (recording && event.target === pendingField) flushTyping(false);
+    }, true);
+
+    window.addEventListener('pagehide', () => {
+        if (recording) flushTyping(false);
+    });
+
+    // ── Step Building ──────────────────────────────────────────
+    function flushTyping(pressEnter) {
+        const el = pendingField;
+        pendingField = null;
+        if (!el) return;
+
+        const step = { action: 'type_into', params: { ...describeField(el), text: el.isContentEditable ? el.innerText : el.value } };
+        if (pressEnter) step.params.pressEnter = true;
+        // The background swaps a secret for a {{parameter}}; it never leaves the page
+        const sensitive = sensitiveKind(el);
+        if (sensitive) {
+            step.params.text = '';
+            step.sensitive = sensitive;
+        }
+        recordStep(step);
+    }
+
+    function recordStep(step) {
+        chrome.runtime.sendMessage({ type: 'recorder_step', step }).catch(() => { });
+    }
+
+    // Clicks: the first of label, text, role that the executor's own
+    // executeDOMClick resolves to this element (or one inside it), else a CSS selector
+    function describeClickTarget(el) {
+        const hits = (found) => found === el || el.contains(found);
+        const clickTarget = (target, type) => {
+            const { matches = [] } = executeDOMClick(target, type, 0, null, true);
+            const index = matches.findIndex(hits);
+            if (index < 0) return null;
+            return index > 0 ? { target, type, index } : { target, type };
+        };
+
+        const label = clean(el.getAttribute('aria-label') || el.getAttribute('title'));
+        const text = clean(el.innerText || el.value);
+        const role = el.getAttribute('role');
+        return (label && clickTarget(label, 'label'))
+            || (text && clickTarget(text, 'text'))
+            || (role && clickTarget(role, 'role'))
+            || { target: cssPath(el, selector => hits(executeDOMClick(selector, 'selector', 0, null, true).element)), type: 'selector' };
+    }
+
+    // Text fields: a label, placeholder or name that the executor's own
+    // executeDOMType resolves to this field, else a CSS selector
+    function describeField(el) {
+        const finds = (target, type) => executeDOMType(target, '', type, false, [], true, null, true).element === el;
+        const candidates = [
+            el.getAttribute('aria-label'),
+            el.getAttribute('placeholder'),
+            el.labels?.[0]?.innerText,
+            el.getAttribute('name'),
+        ].map(clean).filter(Boolean);
+        for (const candidate of candidates) {
+            if (finds(candidate, 'label')) return { target: candidate, type: 'label' };
+        }
+
+        return { target: cssPath(el, selector => finds(selector, 'selector')), type: 'selector' };
+    }
+
+    // Same rules as the executor's sensitive-field check
+    function sensitiveKind(el) {
+        const autocomplete = (el.getAttribute('autocomplete') || '').toLowerCase();
+        if ((el.getAttribute('type') || '').toLowerCase() === 'password' || /\b(current|new)-password\b/.test(autocomplete)) return 'password';
+        if (/(^|\s)cc-/.test(autocomplete)) return 'payment';
+        if (/\bone-time-code\b/.test(autocomplete)) return 'otp';
+        const words = [el.getAttribute('aria-label'), el.getAttribute('placeholder'), el.getAttribute('name'), el.id, el.labels?.[0]?.textContent]
+            .filter(Boolean).join(' ');
+        return globalThis.AutonionSchema.sensitiveFieldKind(words);
+    }
+
+    // Shortest id-anchored nth-of-type path for which `finds` holds
+    function cssPath(el, finds) {
+        const parts = [];
+        let node = el;
+        while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.body) {
+            if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+                break;
+            }
+            const tag = node.tagName.toLowerCase();
+            const siblings = node.parentElement ? [...node.parentElement.children].filter(child => child.tagName === node.tagName) : [];
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+            const selector = parts.join(' > ');
+            if (finds(selector)) return selector;
+            node = node.parentElement;
+        }
+        return parts.join(' > ') || el.tagName.toLowerCase();
+    }
+
+    // ── Utilities ──────────────────────────────────────────────
+    function isTextField(el) {
+        if (el.isContentEditable) return true;
+        if (el.tagName === 'TEXTAREA') return true;
+        if (el.tagName !== 'INPUT') return false;
+        return !['checkbox', 'radio', 'submit', 'button', 'reset', 'file', 'image', 'range', 'color', 'hidden'].includes((el.getAttribute('type') || 'text').toLowerCase());
+    }
+
+    // One line of visible text, short enough to be a target
+    function clean(text) {
+        const value = (text || '').replace(/\s+/g, ' ').trim();
+        return value && value.length <= MAX_TARGET_TEXT ? value : '';
+    }
+})();
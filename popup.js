@@ -8,37 +8,116 @@ document.addEventListener('DOMContentLoaded', async () => {
     const statusText = document.getElementById('statusText');
     const wsUrlInput = document.getElementById('wsUrl');
     const aiPlatformSelect = document.getElementById('aiPlatform');
+    const executionScopeSelect = document.getElementById('executionScope');
+    const limitsGrid = document.getElementById('limitsGrid');
     const btnConnect = document.getElementById('btnConnect');
     const btnDisconnect = document.getElementById('btnDisconnect');
     const btnSaveSettings = document.getElementById('btnSaveSettings');
     const btnExecute = document.getElementById('btnExecute');
     const btnKillSwitch = document.getElementById('btnKillSwitch');
     const btnClearLogs = document.getElementById('btnClearLogs');
+    const btnExportAudit = document.getElementById('btnExportAudit');
+    const logSearchInput = document.getElementById('logSearch');
+    const logLevelSelect = document.getElementById('logLevel');
+    const logCategorySelect = document.getElementById('logCategory');
+    const logTransactionSelect = document.getElementById('logTransaction');
+    const btnLogOlder = document.getElementById('btnLogOlder');
+    const btnLogNewer = document.getElementById('btnLogNewer');
+    const logPageInfo = document.getElementById('logPageInfo');
     const promptInput = document.getElementById('promptInput');
     const logContainer = document.getElementById('logContainer');
     const executionPanel = document.getElementById('executionPanel');
     const progressBar = document.getElementById('progressBar');
     const stepInfo = document.getElementById('stepInfo');
     const execBadge = document.getElementById('execBadge');
+    const queuePanel = document.getElementById('queuePanel');
+    const queueList = document.getElementById('queueList');
+    const queueBadge = document.getElementById('queueBadge');
+    const interruptedPanel = document.getElementById('interruptedPanel');
+    const interruptedBadge = document.getElementById('interruptedBadge');
+    const interruptedInfo = document.getElementById('interruptedInfo');
+    const btnResume = document.getElementById('btnResume');
+    const btnDiscard = document.getElementById('btnDiscard');
+    const confirmationTimeoutInput = document.getElementById('confirmationTimeout');
+    const policyList = document.getElementById('policyList');
+    const btnAddPolicy = document.getElementById('btnAddPolicy');
+    const confirmPanel = document.getElementById('confirmPanel');
+    const confirmBadge = document.getElementById('confirmBadge');
+    const confirmList = document.getElementById('confirmList');
+    const historyList = document.getElementById('historyList');
+    const historyBadge = document.getElementById('historyBadge');
+    const planEditor = document.getElementById('planEditor');
+    const planEditorInput = document.getElementById('planEditorInput');
+    const planEditorHint = document.getElementById('planEditorHint');
+    const planEditorError = document.getElementById('planEditorError');
+    const btnRunEdited = document.getElementById('btnRunEdited');
+    const btnCancelEdit = document.getElementById('btnCancelEdit');
+    const btnSaveMacro = document.getElementById('btnSaveMacro');
+    const macroList = document.getElementById('macroList');
+    const macrosBadge = document.getElementById('macrosBadge');
+    const macroEditor = document.getElementById('macroEditor');
+    const macroNameInput = document.getElementById('macroNameInput');
+    const macroPlanInput = document.getElementById('macroPlanInput');
+    const macroEditorError = document.getElementById('macroEditorError');
+    const btnConfirmMacro = document.getElementById('btnConfirmMacro');
+    const btnCancelMacro = document.getElementById('btnCancelMacro');
+    const btnRecord = document.getElementById('btnRecord');
+    let interruptedTxId = null;
+    let editingRunId = null; // history entry open in the plan editor
+    let lastValidatedPlan = null; // most recent plan_validated plan, offered as a macro
+    let recordingActive = false;
+    let pendingConfirmations = []; // confirmation_request payloads still awaiting an answer
+    let killSwitchActive = false;
+    let logRecords = []; // structured addLog records, oldest first
+    let logPage = 0; // 0 = newest page
+    const LOG_PAGE_SIZE = 50;
+    const MAX_LOG_RECORDS = 1000; // matches background.js
 
     // ── Load Settings ────────────────────────────────────────
-    const settings = await chrome.storage.local.get(['wsUrl', 'aiPlatform']);
+    const settings = await chrome.storage.local.get(['wsUrl', 'aiPlatform', 'executionScope', 'executionLimits', 'confirmationTimeoutS', 'domainPolicies', 'domainAllowlist']);
     wsUrlInput.value = settings.wsUrl || 'ws://localhost:4545/automation';
     aiPlatformSelect.value = settings.aiPlatform || 'chatgpt';
+    executionScopeSelect.value = settings.executionScope || 'tab';
+    renderLimits(settings.executionLimits || {});
+    confirmationTimeoutInput.value = settings.confirmationTimeoutS || 60;
+    renderPolicies(AutonionSchema.normalizeDomainPolicies(settings.domainPolicies, settings.domainAllowlist));
 
     // ── Load Logs ────────────────────────────────────────────
+    for (const category of AutonionSchema.LOG_CATEGORIES) {
+        logCategorySelect.add(new Option(category, category));
+    }
     const logResult = await chrome.storage.local.get('logs');
-    const logs = logResult.logs || [];
-    renderLogs(logs);
+    logRecords = (logResult.logs || []).map(toLogRecord);
+    renderLogs();
+
+    // ── Load Run History & Macros ────────────────────────────
+    loadHistory();
+    loadMacros();
 
     // ── Get Initial Status ───────────────────────────────────
     chrome.runtime.sendMessage({ type: 'get_status' }, (response) => {
         if (response) {
             updateConnectionUI(response.connected ? 'connected' : 'disconnected');
-            if (response.killSwitch) {
-                btnKillSwitch.textContent = '🔄 Reset Kill Switch';
-                btnKillSwitch.classList.add('active');
-            }
+            updateKillSwitchUI(!!response.killSwitch);
+        }
+    });
+
+    chrome.runtime.sendMessage({ type: 'get_queue_status' }, (response) => {
+        if (response) renderQueue(response);
+    });
+
+    chrome.runtime.sendMessage({ type: 'get_interrupted_execution' }, (response) => {
+        if (response) renderInterrupted(response.execution);
+    });
+
+    chrome.runtime.sendMessage({ type: 'get_recording_status' }, (response) => {
+        if (response) updateRecordingUI(response);
+    });
+
+    chrome.runtime.sendMessage({ type: 'get_pending_confirmations' }, (response) => {
+        if (response) {
+            pendingConfirmations = response.requests || [];
+            renderConfirmations();
         }
     });
 
@@ -54,12 +133,34 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateConnectionUI('disconnected');
     });
 
+    btnResume.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'resume_execution', transactionId: interruptedTxId }, (response) => {
+            if (response?.ok) renderInterrupted(null);
+        });
+    });
+
+    btnDiscard.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'discard_execution', transactionId: interruptedTxId }, (response) => {
+            if (response?.ok) renderInterrupted(null);
+        });
+    });
+
+    btnAddPolicy.addEventListener('click', () => {
+        addPolicyRow({ domain: '', policy: 'never' }).querySelector('input').focus();
+    });
+
     btnSaveSettings.addEventListener('click', async () => {
         const newSettings = {
             wsUrl: wsUrlInput.value.trim(),
             aiPlatform: aiPlatformSelect.value,
+            executionScope: executionScopeSelect.value,
+            executionLimits: readLimits(),
+            confirmationTimeoutS: parseInt(confirmationTimeoutInput.value, 10) || 60,
+            domainPolicies: readPolicies(),
         };
         await chrome.storage.local.set(newSettings);
+        await chrome.storage.local.remove('domainAllowlist'); // folded into domainPolicies as "full"
+        renderPolicies(newSettings.domainPolicies);
         chrome.runtime.sendMessage({ type: 'update_settings', settings: newSettings });
 
         // Flash success feedback
@@ -86,13 +187,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Visual feedback
         btnExecute.disabled = true;
-        setTimeout(() => { btnExecute.disabled = false; }, 3000);
+        setTimeout(() => { btnExecute.disabled = killSwitchActive; }, 3000);
     });
 
     btnKillSwitch.addEventListener('click', () => {
+        if (killSwitchActive) {
+            chrome.runtime.sendMessage({ type: 'reset_kill_switch' });
+            updateKillSwitchUI(false);
+            return;
+        }
         chrome.runtime.sendMessage({ type: 'kill_switch' });
-        btnKillSwitch.innerHTML = '<span class="btn-icon">🔄</span> Reset Kill Switch';
-        btnKillSwitch.classList.add('active');
+        updateKillSwitchUI(true);
         execBadge.textContent = 'KILLED';
         stepInfo.textContent = 'Execution halted by kill switch';
         progressBar.style.width = '0%';
@@ -100,7 +205,77 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     btnClearLogs.addEventListener('click', async () => {
         await chrome.storage.local.set({ logs: [] });
-        logContainer.innerHTML = '<div class="log-empty">No activity yet</div>';
+        logRecords = [];
+        logPage = 0;
+        renderLogs();
+    });
+
+    btnRunEdited.addEventListener('click', async () => {
+        let plan;
+        try {
+            plan = JSON.parse(planEditorInput.value);
+        } catch (e) {
+            showPlanEditorError(`Invalid JSON: ${e.message}`);
+            return;
+        }
+        const response = await replayRun(editingRunId, plan);
+        if (response?.ok) closePlanEditor();
+        else showPlanEditorError(response?.error || 'Replay failed');
+    });
+
+    btnCancelEdit.addEventListener('click', closePlanEditor);
+
+    btnSaveMacro.addEventListener('click', () => {
+        if (lastValidatedPlan) openMacroEditor(lastValidatedPlan);
+    });
+
+    btnConfirmMacro.addEventListener('click', async () => {
+        let plan;
+        try {
+            plan = JSON.parse(macroPlanInput.value);
+        } catch (e) {
+            showMacroEditorError(`Invalid JSON: ${e.message}`);
+            return;
+        }
+        const response = await chrome.runtime.sendMessage({ type: 'save_macro', macro: { name: macroNameInput.value, plan } });
+        if (response?.ok) closeMacroEditor();
+        else showMacroEditorError(response?.error || 'Save failed');
+    });
+
+    btnCancelMacro.addEventListener('click', closeMacroEditor);
+
+    // A finished recording opens in the macro editor, to be named and saved
+    btnRecord.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ type: recordingActive ? 'stop_recording' : 'start_recording' });
+        if (!response?.ok) {
+            appendLog(localLogRecord(`Recorder: ${response?.error || 'no response'}`, 'error', 'recorder'));
+            return;
+        }
+        if (response.plan) openMacroEditor(response.plan);
+    });
+
+    // Any filter change starts again from the newest matches
+    logSearchInput.addEventListener('input', () => { logPage = 0; renderLogs(); });
+    for (const select of [logLevelSelect, logCategorySelect, logTransactionSelect]) {
+        select.addEventListener('change', () => { logPage = 0; renderLogs(); });
+    }
+    btnLogOlder.addEventListener('click', () => { logPage++; renderLogs(); });
+    btnLogNewer.addEventListener('click', () => { logPage = Math.max(0, logPage - 1); renderLogs(); });
+
+    // The audit log is separate from the activity log and can't be cleared here
+    btnExportAudit.addEventListener('click', async () => {
+        const { records, chain, error } = await chrome.runtime.sendMessage({ type: 'get_audit_log' });
+        if (error) {
+            appendLog(localLogRecord(`Audit export failed: ${error}`, 'error'));
+            return;
+        }
+        const jsonl = records.map(record => JSON.stringify(record)).join('\n');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([jsonl ? `${jsonl}\n` : ''], { type: 'application/x-ndjson' }));
+        link.download = `autonion-audit-${new Date().toISOString().slice(0, 10)}.jsonl`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        appendLog(localLogRecord(`Exported ${records.length} audit record(s) — chain ${chain.ok ? 'intact' : `broken at record ${chain.broken_at}`}`, chain.ok ? 'info' : 'warn'));
     });
 
     // ── Listen for Real-Time Updates ─────────────────────────
@@ -112,7 +287,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 break;
 
             case 'log':
-                appendLog(message.message);
+                appendLog(toLogRecord(message.record));
                 break;
 
             case 'execution_start':
@@ -123,6 +298,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                 break;
 
             case 'plan_validated':
+                lastValidatedPlan = message.plan;
+                btnSaveMacro.style.display = message.plan && !message.macro ? 'inline-block' : 'none';
                 execBadge.textContent = 'Executing';
                 stepInfo.textContent = `Plan validated: ${message.plan?.steps?.length || '?'} steps`;
                 progressBar.style.width = '15%';
@@ -137,14 +314,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             case 'step_complete':
                 if (!message.success) {
-                    appendLog(`❌ Step ${message.step + 1} failed: ${message.error}`, 'error');
+                    appendLog(localLogRecord(`❌ Step ${message.step + 1} failed: ${message.error}`, 'error', 'executor'));
                 }
                 break;
 
             case 'execution_complete':
                 progressBar.style.width = '100%';
-                execBadge.textContent = 'Done ✅';
-                stepInfo.textContent = 'All steps completed successfully!';
+                execBadge.textContent = { completed: 'Done ✅', partial: 'Partial ⚠️', failed: 'Failed ❌' }[message.status] || 'Done';
+                stepInfo.textContent = message.message || 'Execution finished';
+                (message.data || []).forEach(d => appendLog(localLogRecord(`📄 Step ${d.step + 1} read: "${d.text.slice(0, 80)}"`, 'info', 'executor', message.transactionId)));
                 break;
 
             case 'execution_error':
@@ -160,14 +338,42 @@ document.addEventListener('DOMContentLoaded', async () => {
                 progressBar.style.width = '0%';
                 break;
 
+            case 'queue_status':
+                renderQueue(message);
+                break;
+
+            case 'execution_interrupted':
+                renderInterrupted(message.execution);
+                break;
+
+            case 'confirmation_request':
+                pendingConfirmations.push(message.request);
+                renderConfirmations();
+                break;
+
+            case 'confirmation_resolved':
+                pendingConfirmations = pendingConfirmations.filter(r => r.confirmation_id !== message.confirmation_id);
+                renderConfirmations();
+                break;
+
             case 'url_trigger':
-                appendLog(`🌐 URL: ${message.domain} → ${message.category}`);
+                appendLog(localLogRecord(`🌐 URL: ${message.domain} → ${message.category}`, 'info', 'classifier'));
                 break;
 
             case 'kill_switch':
-                if (message.active) {
-                    btnKillSwitch.innerHTML = '<span class="btn-icon">🔄</span> Reset Kill Switch';
-                }
+                updateKillSwitchUI(message.active);
+                break;
+
+            case 'run_history_updated':
+                loadHistory();
+                break;
+
+            case 'macros_updated':
+                loadMacros();
+                break;
+
+            case 'recording_status':
+                updateRecordingUI(message);
                 break;
         }
     });
@@ -192,43 +398,485 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    function renderLogs(entries) {
-        if (entries.length === 0) {
-            logContainer.innerHTML = '<div class="log-empty">No activity yet</div>';
-            return;
+    function updateKillSwitchUI(active) {
+        killSwitchActive = active;
+        btnKillSwitch.classList.toggle('active', active);
+        btnKillSwitch.innerHTML = active
+            ? '<span class="btn-icon">🔄</span> Reset Kill Switch'
+            : '<span class="btn-icon">🛑</span> Kill Switch';
+        btnExecute.disabled = active;
+    }
+
+    function renderQueue({ running, queued = [] }) {
+        queuePanel.style.display = running || queued.length > 0 ? 'block' : 'none';
+        queueBadge.textContent = `${queued.length} waiting`;
+        queueList.innerHTML = '';
+
+        const items = running ? [{ ...running, running: true }, ...queued] : queued;
+        for (const item of items) {
+            const row = document.createElement('div');
+            row.className = 'queue-item' + (item.running ? ' running' : '');
+
+            const label = document.createElement('span');
+            label.className = 'queue-item-label';
+            label.textContent = `${item.running ? '▶️ ' : ''}${item.label}`;
+            label.title = item.transaction_id;
+
+            const meta = document.createElement('span');
+            meta.className = 'queue-item-meta';
+            meta.textContent = `${item.source} · p${item.priority}`;
+
+            row.append(label, meta);
+            if (!item.running) {
+                const cancel = document.createElement('button');
+                cancel.className = 'btn-icon-only';
+                cancel.title = 'Remove from queue';
+                cancel.textContent = '✖️';
+                cancel.addEventListener('click', () => {
+                    chrome.runtime.sendMessage({ type: 'cancel_queued', transactionId: item.transaction_id });
+                });
+                row.appendChild(cancel);
+            }
+            queueList.appendChild(row);
         }
-        logContainer.innerHTML = '';
-        // Show last 50
-        const recent = entries.slice(-50);
-        for (const entry of recent) {
-            const div = document.createElement('div');
-            div.className = 'log-entry' + getLogClass(entry);
-            div.textContent = entry;
-            logContainer.appendChild(div);
+    }
+
+    // One row per plan source: max steps and max minutes of wall-clock time
+    function renderLimits(stored) {
+        limitsGrid.innerHTML = '';
+        for (const source of AutonionSchema.PLAN_SOURCES) {
+            const limits = AutonionSchema.resolveExecutionLimits(source, stored);
+            const name = document.createElement('span');
+            name.textContent = source;
+
+            const steps = document.createElement('input');
+            steps.type = 'number';
+            steps.min = 1;
+            steps.max = AutonionSchema.STEP_LIMIT_CEILING;
+            steps.value = limits.max_steps;
+            steps.dataset.source = source;
+            steps.dataset.limit = 'max_steps';
+            steps.title = `Max steps for ${source} plans`;
+
+            const minutes = document.createElement('input');
+            minutes.type = 'number';
+            minutes.min = 1;
+            minutes.max = AutonionSchema.DURATION_LIMIT_CEILING_S / 60;
+            minutes.value = Math.round(limits.max_duration_s / 60);
+            minutes.dataset.source = source;
+            minutes.dataset.limit = 'max_duration_s';
+            minutes.title = `Max minutes for ${source} plans`;
+
+            limitsGrid.append(name, steps, minutes);
+        }
+    }
+
+    function readLimits() {
+        const limits = {};
+        for (const input of limitsGrid.querySelectorAll('input')) {
+            const { source, limit } = input.dataset;
+            const value = parseInt(input.value, 10);
+            limits[source] = limits[source] || {};
+            limits[source][limit] = limit === 'max_duration_s' ? value * 60 : value;
         }
-        logContainer.scrollTop = logContainer.scrollHeight;
+        return limits;
+    }
+
+    // One row per domain: the domain and what plans may do there
+    const POLICY_LABELS = { never: 'Never automate', read_only: 'Read-only', full: 'Full automation' };
+
+    function renderPolicies(policies) {
+        policyList.innerHTML = '';
+        for (const entry of policies) addPolicyRow(entry);
+    }
+
+    function addPolicyRow({ domain, policy }) {
+        const row = document.createElement('div');
+        row.className = 'policy-row';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = domain;
+        input.placeholder = 'admin.example.com';
+        input.spellcheck = false;
+
+        const select = document.createElement('select');
+        for (const value of AutonionSchema.DOMAIN_POLICIES) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = POLICY_LABELS[value];
+            select.appendChild(option);
+        }
+        select.value = policy;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-icon-only';
+        remove.title = 'Remove';
+        remove.textContent = '✖️';
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(input, select, remove);
+        policyList.appendChild(row);
+        return row;
     }
 
-    function appendLog(message, className) {
-        const empty = logContainer.querySelector('.log-empty');
-        if (empty) empty.remove();
+    function readPolicies() {
+        const rows = [...policyList.querySelectorAll('.policy-row')].map(row => ({
+            domain: row.querySelector('input').value,
+            policy: row.querySelector('select').value,
+        }));
+        return AutonionSchema.normalizeDomainPolicies(rows);
+    }
 
-        const div = document.createElement('div');
-        div.className = 'log-entry' + (className ? ` ${className}` : getLogClass(message));
-        div.textContent = message;
-        logContainer.appendChild(div);
+    function renderInterrupted(execution) {
+        interruptedTxId = execution?.transaction_id || null;
+        interruptedPanel.style.display = execution ? 'block' : 'none';
+        if (!execution) return;
+
+        interruptedBadge.textContent = `${execution.completed_steps}/${execution.total_steps}`;
+        const at = execution.interrupted_step !== null
+            ? `during step ${execution.interrupted_step + 1}`
+            : `after step ${execution.completed_steps}`;
+        interruptedInfo.textContent = `Browser restarted the extension ${at} (${execution.source}).`;
+        btnResume.disabled = killSwitchActive;
+    }
 
-        // Keep max 50 visible
-        while (logContainer.children.length > 50) {
-            logContainer.removeChild(logContainer.firstChild);
+    // One row per risky step waiting for the user, with Approve / Deny
+    function renderConfirmations() {
+        confirmPanel.style.display = pendingConfirmations.length > 0 ? 'block' : 'none';
+        confirmBadge.textContent = `${pendingConfirmations.length} waiting`;
+        confirmList.innerHTML = '';
+
+        for (const request of pendingConfirmations) {
+            const row = document.createElement('div');
+            row.className = 'queue-item confirm-item';
+
+            const label = document.createElement('span');
+            label.className = 'queue-item-label';
+            label.textContent = `Step ${request.step}: ${request.action} ${JSON.stringify(request.params || {}).slice(0, 60)}`;
+            label.title = request.reasons.join('; ');
+
+            const meta = document.createElement('span');
+            meta.className = 'queue-item-meta';
+            meta.textContent = `${request.source} · ${request.reasons[0] || 'risky'}`;
+
+            const answer = (approved) => {
+                chrome.runtime.sendMessage({ type: 'confirmation_response', confirmationId: request.confirmation_id, approved });
+            };
+            const approve = document.createElement('button');
+            approve.className = 'btn-icon-only';
+            approve.title = 'Approve';
+            approve.textContent = '✅';
+            approve.addEventListener('click', () => answer(true));
+
+            const deny = document.createElement('button');
+            deny.className = 'btn-icon-only';
+            deny.title = 'Deny';
+            deny.textContent = '✖️';
+            deny.addEventListener('click', () => answer(false));
+
+            row.append(label, meta, approve, deny);
+            confirmList.appendChild(row);
+        }
+    }
+
+    async function loadHistory() {
+        const response = await chrome.runtime.sendMessage({ type: 'get_run_history' });
+        renderHistory(response?.runs || []);
+    }
+
+    // Newest run first; clicking a row shows its plan and per-step results
+    function renderHistory(runs) {
+        historyBadge.textContent = `${runs.length} run${runs.length === 1 ? '' : 's'}`;
+        historyList.innerHTML = runs.length ? '' : '<div class="log-empty">No runs yet</div>';
+
+        for (const run of [...runs].reverse()) {
+            const entry = document.createElement('div');
+            entry.className = 'history-entry';
+
+            const row = document.createElement('div');
+            row.className = `queue-item history-item ${run.status}`;
+
+            const label = document.createElement('span');
+            label.className = 'queue-item-label';
+            const statusIcon = { completed: '✅', partial: '⚠️', failed: '❌', killed: '🛑' }[run.status] || '•';
+            label.textContent = `${statusIcon} ${run.prompt || `${run.plan.steps.length} steps from ${run.source}`}`;
+            label.title = run.message;
+
+            const meta = document.createElement('span');
+            meta.className = 'queue-item-meta';
+            const succeeded = run.results.filter(r => r.status === 'success' || r.status === 'recovered').length;
+            meta.textContent = `${run.source}${run.macro ? ` · macro "${run.macro}"` : ''}${run.replay_of ? ' · replay' : ''} · ${succeeded}/${run.plan.steps.length} · ${formatDuration(run.duration_ms)}`;
+
+            const replay = document.createElement('button');
+            replay.className = 'btn-icon-only';
+            replay.title = 'Replay';
+            replay.textContent = '🔁';
+            replay.addEventListener('click', (event) => {
+                event.stopPropagation();
+                replayRun(run.transaction_id);
+            });
+
+            const editReplay = document.createElement('button');
+            editReplay.className = 'btn-icon-only';
+            editReplay.title = 'Edit & Replay';
+            editReplay.textContent = '✏️';
+            editReplay.addEventListener('click', (event) => {
+                event.stopPropagation();
+                openPlanEditor(run);
+            });
+
+            const details = document.createElement('div');
+            details.className = 'history-details';
+            details.style.display = 'none';
+            const started = new Date(run.started_at).toLocaleString();
+            const results = run.results
+                .map(r => `${r.step + 1}. ${r.action} — ${r.status}${r.error ? `: ${r.error}` : ''}`)
+                .join('\n');
+            details.textContent = `${started} · ${run.message}\n\n${results}\n\n${JSON.stringify(redactedPlan(run), null, 2)}`;
+
+            row.addEventListener('click', () => {
+                details.style.display = details.style.display === 'none' ? 'block' : 'none';
+            });
+            row.append(label, meta, replay, editReplay);
+            entry.append(row, details);
+            historyList.appendChild(entry);
+        }
+    }
+
+    async function replayRun(transactionId, plan) {
+        const response = await chrome.runtime.sendMessage({ type: 'replay_run', transactionId, plan });
+        if (!response?.ok) {
+            appendLog(localLogRecord(`Replay failed: ${response?.error || 'no response'}`, 'error', 'executor', transactionId));
+        }
+        return response;
+    }
+
+    function openPlanEditor(run) {
+        editingRunId = run.transaction_id;
+        const plan = redactedPlan(run);
+        const redacted = JSON.stringify(plan).includes(AutonionSchema.REDACTED_VALUE);
+        planEditorHint.textContent = (run.prompt ? `from "${run.prompt.slice(0, 40)}"` : run.transaction_id.slice(0, 8))
+            + (redacted ? ` · replace ${AutonionSchema.REDACTED_VALUE} values` : '');
+        planEditorInput.value = JSON.stringify(plan, null, 2);
+        planEditorError.style.display = 'none';
+        planEditor.style.display = 'block';
+        planEditorInput.focus();
+    }
+
+    // Secrets and macro arguments show as placeholders, including in runs
+    // stored before the background started redacting them
+    function redactedPlan(run) {
+        const names = [
+            ...AutonionSchema.findSensitiveVariables(run.plan),
+            ...(run.macro ? Object.keys(run.plan.variables || {}) : []),
+        ];
+        return {
+            ...run.plan,
+            steps: AutonionSchema.redactPlanSteps(run.plan.steps),
+            variables: AutonionSchema.redactVariables(run.plan.variables, names),
+        };
+    }
+
+    function closePlanEditor() {
+        editingRunId = null;
+        planEditor.style.display = 'none';
+    }
+
+    function showPlanEditorError(message) {
+        planEditorError.textContent = message;
+        planEditorError.style.display = 'block';
+    }
+
+    async function loadMacros() {
+        const response = await chrome.runtime.sendMessage({ type: 'get_macros' });
+        renderMacros(response?.macros || []);
+    }
+
+    // Running a macro with parameters first opens a form, pre-filled with defaults
+    function renderMacros(macros) {
+        macrosBadge.textContent = `${macros.length} saved`;
+        macroList.innerHTML = macros.length ? '' : '<div class="log-empty">No macros yet — save one from a validated plan</div>';
+
+        for (const macro of macros) {
+            const entry = document.createElement('div');
+            entry.className = 'history-entry';
+
+            const row = document.createElement('div');
+            row.className = 'queue-item';
+
+            const label = document.createElement('span');
+            label.className = 'queue-item-label';
+            label.textContent = macro.name;
+            label.title = JSON.stringify(macro.plan, null, 2);
+
+            const meta = document.createElement('span');
+            meta.className = 'queue-item-meta';
+            meta.textContent = `${macro.plan.steps.length} steps${macro.params.length ? ` · ${macro.params.map(p => p.name).join(', ')}` : ''}`;
+
+            const form = document.createElement('div');
+            form.className = 'history-details macro-params';
+            form.style.display = 'none';
+            const inputs = macro.params.map(param => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = param.default === undefined ? `${param.name} (required)` : param.name;
+                input.value = param.default === undefined ? '' : (typeof param.default === 'string' ? param.default : JSON.stringify(param.default));
+                input.dataset.param = param.name;
+                input.dataset.json = typeof param.default === 'string' || param.default === undefined ? '' : '1';
+                form.appendChild(input);
+                return input;
+            });
+            const runWithParams = document.createElement('button');
+            runWithParams.className = 'btn btn-primary';
+            runWithParams.textContent = '▶️ Run';
+            runWithParams.addEventListener('click', () => {
+                const args = {};
+                for (const input of inputs) {
+                    if (input.value === '' && !input.dataset.json) continue;
+                    args[input.dataset.param] = input.dataset.json ? parseParamValue(input.value) : input.value;
+                }
+                runMacro(macro, args);
+                form.style.display = 'none';
+            });
+            form.appendChild(runWithParams);
+
+            const run = document.createElement('button');
+            run.className = 'btn-icon-only';
+            run.title = 'Run';
+            run.textContent = '▶️';
+            run.addEventListener('click', () => {
+                if (macro.params.length) form.style.display = form.style.display === 'none' ? 'block' : 'none';
+                else runMacro(macro, {});
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-icon-only';
+            remove.title = 'Delete';
+            remove.textContent = '🗑️';
+            remove.addEventListener('click', () => {
+                if (confirm(`Delete macro "${macro.name}"?`)) {
+                    chrome.runtime.sendMessage({ type: 'delete_macro', macroId: macro.id });
+                }
+            });
+
+            row.append(label, meta, run, remove);
+            entry.append(row, form);
+            macroList.appendChild(entry);
+        }
+    }
+
+    // Non-string defaults (lists for for_each, numbers) are edited as JSON
+    function parseParamValue(value) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+
+    async function runMacro(macro, args) {
+        const response = await chrome.runtime.sendMessage({ type: 'run_macro', macroId: macro.id, args });
+        if (!response?.ok) {
+            appendLog(localLogRecord(`Macro "${macro.name}" failed: ${response?.error || 'no response'}`, 'error', 'executor'));
+        }
+    }
+
+    function openMacroEditor(plan) {
+        macroNameInput.value = '';
+        macroPlanInput.value = JSON.stringify({ steps: plan.steps, variables: plan.variables || {} }, null, 2);
+        macroEditorError.style.display = 'none';
+        macroEditor.style.display = 'block';
+        macroNameInput.focus();
+    }
+
+    function updateRecordingUI(status) {
+        recordingActive = !!status.active;
+        btnRecord.textContent = recordingActive
+            ? `⏹️ Stop recording (${status.steps} step${status.steps === 1 ? '' : 's'})`
+            : '⏺️ Record actions';
+        btnRecord.classList.toggle('recording', recordingActive);
+    }
+
+    function closeMacroEditor() {
+        macroEditor.style.display = 'none';
+    }
+
+    function showMacroEditorError(message) {
+        macroEditorError.textContent = message;
+        macroEditorError.style.display = 'block';
+    }
+
+    function formatDuration(ms) {
+        const seconds = Math.round((ms || 0) / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+
+    // Entries stored before logs were structured are plain "[time] message" strings
+    function toLogRecord(entry) {
+        if (entry && typeof entry === 'object') return entry;
+        const text = String(entry ?? '');
+        const match = text.match(/^\[([^\]]+)\] ([\s\S]*)$/);
+        return { ts: null, time: match ? match[1] : '', level: 'info', category: 'system', transaction_id: null, message: match ? match[2] : text };
+    }
+
+    // Popup-side entries, shown with the background's but not stored
+    function localLogRecord(message, level = 'info', category = 'system', transactionId = null) {
+        return { ts: new Date().toISOString(), level, category, transaction_id: transactionId, message };
+    }
+
+    function logMatchesFilters(record) {
+        const minLevel = AutonionSchema.LOG_LEVELS.indexOf(logLevelSelect.value);
+        if (minLevel > 0 && AutonionSchema.LOG_LEVELS.indexOf(record.level) < minLevel) return false;
+        if (logCategorySelect.value && record.category !== logCategorySelect.value) return false;
+        if (logTransactionSelect.value && record.transaction_id !== logTransactionSelect.value) return false;
+        const query = logSearchInput.value.trim().toLowerCase();
+        return !query || `${record.message} ${record.category} ${record.transaction_id || ''}`.toLowerCase().includes(query);
+    }
+
+    // Runs that appear in the log, most recent first; keeps the current choice
+    function renderTransactionOptions() {
+        const selected = logTransactionSelect.value;
+        const ids = [...new Set(logRecords.map(r => r.transaction_id).filter(Boolean).reverse())];
+        logTransactionSelect.innerHTML = '<option value="">All runs</option>';
+        for (const id of ids) logTransactionSelect.add(new Option(id.slice(0, 8), id));
+        logTransactionSelect.value = ids.includes(selected) ? selected : '';
+    }
+
+    function renderLogs() {
+        renderTransactionOptions();
+        const matches = logRecords.filter(logMatchesFilters);
+        const pageCount = Math.max(1, Math.ceil(matches.length / LOG_PAGE_SIZE));
+        logPage = Math.min(logPage, pageCount - 1);
+        const end = matches.length - logPage * LOG_PAGE_SIZE;
+        const page = matches.slice(Math.max(0, end - LOG_PAGE_SIZE), end);
+
+        btnLogOlder.disabled = logPage >= pageCount - 1;
+        btnLogNewer.disabled = logPage === 0;
+        logPageInfo.textContent = matches.length === logRecords.length
+            ? `Page ${pageCount - logPage}/${pageCount}`
+            : `Page ${pageCount - logPage}/${pageCount} · ${matches.length} of ${logRecords.length}`;
+
+        if (page.length === 0) {
+            logContainer.innerHTML = `<div class="log-empty">${logRecords.length ? 'No matching entries' : 'No activity yet'}</div>`;
+            return;
+        }
+        logContainer.innerHTML = '';
+        for (const record of page) {
+            const div = document.createElement('div');
+            div.className = `log-entry ${record.level}`;
+            const time = record.ts ? new Date(record.ts).toLocaleTimeString() : record.time;
+            div.textContent = `[${time}] [${record.category}] ${record.message}`;
+            if (record.transaction_id) div.title = `Run ${record.transaction_id}`;
+            logContainer.appendChild(div);
         }
-        logContainer.scrollTop = logContainer.scrollHeight;
+        // Only the newest page follows new entries
+        if (logPage === 0) logContainer.scrollTop = logContainer.scrollHeight;
     }
 
-    function getLogClass(text) {
-        if (text.includes('ERROR') || text.includes('BLOCKED') || text.includes('❌') || text.includes('failed')) return ' error';
-        if (text.includes('Connected') || text.includes('✅') || text.includes('success') || text.includes('completed')) return ' success';
-        if (text.includes('WARNING') || text.includes('⚠') || text.includes('Kill')) return ' warning';
-        return '';
+    function appendLog(record) {
+        logRecords.push(record);
+        if (logRecords.length > MAX_LOG_RECORDS) logRecords.splice(0, logRecords.length - MAX_LOG_RECORDS);
+        if (logPage === 0) renderLogs();
     }
 });
@@ -0,0 +1,141 @@
+// ============================================================
+// Autonion — Tests for the functions background.js injects into pages
+// chrome.scripting serializes them, so each is self-contained: they are
+// lifted out of background.js (or loaded from utils/dom-executor.js) and
+// run here against a stub DOM.
+// Run with: node --test tests/
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+require('../utils/schema.js');
+require('../utils/dom-executor.js');
+const SENSITIVE_FIELD_ARGS = globalThis.AutonionSchema.SENSITIVE_FIELD_PATTERNS.map(({ kind, pattern }) => [kind, pattern.source, pattern.flags]);
+
+const BACKGROUND_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+
+function loadInjected(name) {
+    const start = BACKGROUND_SOURCE.indexOf(`\nfunction ${name}(`);
+    assert.ok(start >= 0, `${name} not found in background.js`);
+    const end = BACKGROUND_SOURCE.indexOf('\n}\n', start);
+    return new Function(`return ${BACKGROUND_SOURCE.slice(start + 1, end + 2)}`)();
+}
+
+// ── Stub DOM ───────────────────────────────────────────────
+// Enough of the DOM for attribute selectors like [role="row"]; anything else
+// is a SyntaxError, as querySelectorAll would throw on a malformed selector.
+function element(tagName, { attrs = {}, value, text = '', visible = true, selected } = {}) {
+    return {
+        tagName,
+        id: attrs.id || '',
+        value,
+        innerText: text,
+        textContent: text,
+        offsetParent: visible ? {} : null,
+        selectedOptions: selected ? [{ textContent: selected }] : [],
+        getAttribute: (name) => attrs[name] ?? null,
+        scrollIntoView() { },
+        click() { this.clicked = true; },
+    };
+}
+
+// Enough of CSS.escape for quotes and backslashes
+globalThis.CSS = { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+function setDocument(elements) {
+    const select = (selector) => {
+        const match = selector.match(/^\[([\w-]+)="((?:[^"\\]|\\.)*)"\]$/);
+        if (!match) throw new SyntaxError(`'${selector}' is not a valid selector`);
+        const [, attr, escaped] = match;
+        const value = escaped.replace(/\\(.)/g, '$1');
+        return elements.filter(el => el.getAttribute(attr) === value);
+    };
+    globalThis.document = {
+        querySelector: (selector) => select(selector)[0] || null,
+        querySelectorAll: select,
+    };
+}
+
+// ── executeDOMReadText ─────────────────────────────────────
+const executeDOMReadText = loadInjected('executeDOMReadText');
+
+test('read_text reads an element by target_id with its whitespace collapsed', () => {
+    setDocument([element('P', { attrs: { 'data-autonion-id': 'a7' }, text: '  Order\n  #1234   shipped ' })]);
+    const result = executeDOMReadText(null, 'text', 0, 'a7', SENSITIVE_FIELD_ARGS);
+    assert.equal(result.success, true);
+    assert.equal(result.tag, 'P');
+    assert.equal(result.text, 'Order #1234 shipped');
+    assert.equal(result.truncated, false);
+});
+
+test('read_text returns an input\'s value and a select\'s chosen option', () => {
+    setDocument([
+        element('INPUT', { attrs: { 'data-autonion-id': 'q', name: 'search' }, value: 'running shoes' }),
+        element('SELECT', { attrs: { 'data-autonion-id': 's' }, selected: 'Size 42' }),
+    ]);
+    assert.equal(executeDOMReadText(null, 'text', 0, 'q', SENSITIVE_FIELD_ARGS).text, 'running shoes');
+    assert.equal(executeDOMReadText(null, 'text', 0, 's', SENSITIVE_FIELD_ARGS).text, 'Size 42');
+});
+
+test('read_text truncates long text and says so', () => {
+    setDocument([element('ARTICLE', { attrs: { 'data-autonion-id': 'body' }, text: 'x'.repeat(2500) })]);
+    const result = executeDOMReadText(null, 'text', 0, 'body', SENSITIVE_FIELD_ARGS);
+    assert.equal(result.text.length, 2000);
+    assert.equal(result.truncated, true);
+});
+
+test('read_text picks the index-th visible match, clamped to the last one', () => {
+    setDocument([
+        element('DIV', { attrs: { role: 'row' }, text: 'first' }),
+        element('DIV', { attrs: { role: 'row' }, text: 'hidden', visible: false }),
+        element('DIV', { attrs: { role: 'row' }, text: 'second' }),
+    ]);
+    assert.equal(executeDOMReadText('row', 'role', 1, null, SENSITIVE_FIELD_ARGS).text, 'second');
+    assert.equal(executeDOMReadText('row', 'role', 5, null, SENSITIVE_FIELD_ARGS).text, 'second');
+});
+
+test('read_text reports missing targets as errors', () => {
+    setDocument([]);
+    assert.match(executeDOMReadText(null, 'text', 0, 'gone', SENSITIVE_FIELD_ARGS).error, /not found/);
+    assert.match(executeDOMReadText('row', 'role', 0, null, SENSITIVE_FIELD_ARGS).error, /not found/);
+    assert.match(executeDOMReadText(null, 'text', 0, null, SENSITIVE_FIELD_ARGS).error, /requires/);
+});
+
+test('read_text won\'t read a password field without approval', () => {
+    setDocument([element('INPUT', { attrs: { 'data-autonion-id': 'pw', type: 'password' }, value: 'hunter2' })]);
+    const refused = executeDOMReadText(null, 'text', 0, 'pw', SENSITIVE_FIELD_ARGS);
+    assert.equal(refused.sensitive, 'password');
+    assert.equal(refused.text, undefined);
+    assert.equal(executeDOMReadText(null, 'text', 0, 'pw', SENSITIVE_FIELD_ARGS, true).text, 'hunter2');
+});
+
+// ── executeDOMClick (utils/dom-executor.js) ────────────────
+const { executeDOMClick } = globalThis.AutonionDOMExecutor;
+
+test('click_element with locateOnly names the element it would click, without clicking', () => {
+    const tabs = [element('DIV', { attrs: { role: 'tab' } }), element('DIV', { attrs: { role: 'tab' } })];
+    setDocument(tabs);
+    const located = executeDOMClick('tab', 'role', 1, null, true);
+    assert.equal(located.element, tabs[1]);
+    assert.deepEqual(located.matches, tabs);
+    assert.ok(!tabs.some(tab => tab.clicked));
+
+    assert.equal(executeDOMClick('tab', 'role', 1).success, true);
+    assert.equal(tabs[1].clicked, true);
+});
+
+test('ids and targets with quotes come back as not found instead of throwing', () => {
+    setDocument([element('BUTTON', { attrs: { 'data-autonion-id': 'b1', role: 'button' } })]);
+    const executeDOMScroll = loadInjected('executeDOMScroll');
+    assert.match(executeDOMClick(null, 'text', 0, 'b1"] , *[x="').error, /not found/);
+    assert.match(executeDOMReadText(null, 'text', 0, 'a"b', SENSITIVE_FIELD_ARGS).error, /not found/);
+    assert.match(executeDOMScroll('my "tab"', 'role').error, /not found/);
+    assert.match(executeDOMScroll('div[', 'selector').error, /not found/);
+
+    const quoted = element('INPUT', { attrs: { 'data-autonion-id': 'say "hi"' }, value: 'hello' });
+    setDocument([quoted]);
+    assert.equal(executeDOMClick(null, 'text', 0, 'say "hi"', true).element, quoted);
+});
@@ -0,0 +1,300 @@
+// ============================================================
+// Autonion — Tests for the pure logic in utils/schema.js
+// Run with: node --test tests/
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../utils/schema.js');
+const {
+    validatePlan,
+    assessStepRisk,
+    runSafetyCheck,
+    verifyAuditChain,
+    sha256Hex,
+    redactPlanSteps,
+    REDACTED_VALUE,
+    MAX_STEPS,
+    MAX_LOOP_ITERATIONS,
+} = globalThis.AutonionSchema;
+
+// ── validatePlan ───────────────────────────────────────
+test('validatePlan accepts a plain plan and fills in defaults', () => {
+    const result = validatePlan({ steps: [{ action: 'open_url', params: { url: 'https://example.com' } }] });
+    assert.equal(result.valid, true, result.errors.join('; '));
+    assert.equal(typeof result.plan.transaction_id, 'string');
+    assert.equal(result.plan.schema_version, 1);
+});
+
+test('validatePlan accepts "actions" in place of "steps"', () => {
+    const result = validatePlan({ actions: [{ action: 'go_back', params: {} }] });
+    assert.equal(result.valid, true, result.errors.join('; '));
+    assert.equal(result.plan.steps.length, 1);
+});
+
+test('validatePlan rejects unknown actions and missing params', () => {
+    const result = validatePlan({
+        steps: [
+            { action: 'format_disk', params: {} },
+            { action: 'open_url', params: {} },
+        ],
+    });
+    assert.equal(result.valid, false);
+    assert.equal(result.plan, null);
+    assert.ok(result.errors.some(e => e.includes('steps[0]')));
+    assert.ok(result.errors.some(e => e.includes('steps[1]') && e.includes('url')));
+});
+
+test('validatePlan rejects empty plans, non-objects and unsupported schema versions', () => {
+    assert.equal(validatePlan(null).valid, false);
+    assert.equal(validatePlan({ steps: [] }).valid, false);
+    assert.equal(validatePlan({ schema_version: 99, steps: [{ action: 'go_back', params: {} }] }).valid, false);
+});
+
+test('validatePlan accepts target_id in place of target', () => {
+    const result = validatePlan({ steps: [{ action: 'click_element', params: { target_id: 'a12' } }] });
+    assert.equal(result.valid, true, result.errors.join('; '));
+    assert.equal(validatePlan({ steps: [{ action: 'click_element', params: {} }] }).valid, false);
+});
+
+
+test('validatePlan only allows variables defined before the step that uses them', () => {
+    const seeded = validatePlan({
+        variables: { query: 'shoes' },
+        steps: [{ action: 'type_into', params: { target: 'Search', text: '{{query}}' } }],
+    });
+    assert.equal(seeded.valid, true, seeded.errors.join('; '));
+
+    const undefinedRef = validatePlan({
+        steps: [{ action: 'type_into', params: { target: 'Search', text: '{{query}}' } }],
+    });
+    assert.equal(undefinedRef.valid, false);
+});
+
+
+test('validatePlan counts nested steps toward the limit', () => {
+    const body = Array.from({ length: MAX_STEPS }, () => ({ action: 'go_back', params: {} }));
+    const result = validatePlan({ steps: [{ action: 'repeat', max_iterations: 2, steps: body }] });
+    assert.equal(result.valid, false);
+    assert.ok(result.errors[0].includes('nested'));
+});
+
+test('validatePlan caps loop iterations at MAX_LOOP_ITERATIONS', () => {
+    const loop = (max) => ({
+        steps: [{ action: 'repeat', max_iterations: max, steps: [{ action: 'go_back', params: {} }] }],
+    });
+    assert.equal(validatePlan(loop(MAX_LOOP_ITERATIONS)).valid, true);
+    assert.equal(validatePlan(loop(MAX_LOOP_ITERATIONS + 1)).valid, false);
+});
+
+
+// ── assessStepRisk ─────────────────────────────────────
+test('assessStepRisk passes steps that only navigate or read', () => {
+    assert.equal(assessStepRisk({ action: 'open_url', params: { url: 'https://shop.example/checkout' } }).level, 'safe');
+    assert.equal(assessStepRisk({ action: 'read_text', params: { target: 'Buy now' } }).level, 'safe');
+});
+
+test('assessStepRisk asks before clicks that spend money or delete data', () => {
+    const buy = assessStepRisk({ action: 'click_element', params: { target: 'Place order' } });
+    assert.equal(buy.level, 'confirm');
+    assert.ok(buy.reasons.some(r => r.includes('spends money')));
+    assert.equal(assessStepRisk({ action: 'click_element', params: { target: 'Delete' } }).level, 'confirm');
+});
+
+test('assessStepRisk forbids deleting an account', () => {
+    assert.equal(assessStepRisk({ action: 'click_element', params: { target: 'Delete my account' } }).level, 'forbidden');
+});
+
+test('assessStepRisk only counts typing as acting when it submits', () => {
+    assert.equal(assessStepRisk({ action: 'type_into', params: { target: 'Search', text: 'buy shoes' } }).level, 'safe');
+    assert.equal(assessStepRisk({ action: 'type_into', params: { target: 'Search', text: 'buy shoes', pressEnter: true } }).level, 'confirm');
+});
+
+
+test('assessStepRisk asks before typing into a sensitive field', () => {
+    const risk = assessStepRisk({ action: 'type_into', params: { target: 'Password', text: 'x' } });
+    assert.equal(risk.level, 'confirm');
+    assert.equal(risk.sensitive, 'password');
+});
+
+
+// ── runSafetyCheck ─────────────────────────────────────
+const plan = (steps) => validatePlan({ steps }).plan;
+
+test('runSafetyCheck marks each step passed, confirm or blocked', () => {
+    const result = runSafetyCheck(plan([
+        { action: 'open_url', params: { url: 'https://shop.example/item' } },
+        { action: 'click_element', params: { target: 'Buy now' } },
+    ]));
+    assert.equal(result.safe, true);
+    assert.equal(result.plan.steps[0].safety_check, 'passed');
+    assert.equal(result.plan.steps[1].safety_check, 'confirm');
+    assert.equal(result.confirmations.length, 1);
+});
+
+test('runSafetyCheck blocks forbidden steps, nested and fallback ones included', () => {
+    const nested = runSafetyCheck(plan([
+        { action: 'if', condition: { text_present: 'Settings' }, then: [{ action: 'click_element', params: { target: 'Delete account' } }] },
+    ]));
+    assert.equal(nested.safe, false);
+    assert.equal(nested.plan.steps[0].then[0].safety_check, 'blocked');
+
+    const fallback = runSafetyCheck(plan([
+        {
+            action: 'click_element',
+            params: { target: 'Settings' },
+            on_error: { policy: 'fallback', step: { action: 'click_element', params: { target: 'Close account' } } },
+        },
+    ]));
+    assert.equal(fallback.safe, false);
+});
+
+
+test('runSafetyCheck collects the domains the plan opens', () => {
+    const result = runSafetyCheck(plan([
+        { action: 'open_url', params: { url: 'https://www.shop.example/item' } },
+        { action: 'repeat', max_iterations: 2, steps: [{ action: 'new_tab', params: { url: 'https://cdn.example/x' } }] },
+    ]));
+    assert.deepEqual(result.allowedDomains, ['shop.example', 'cdn.example']);
+    assert.deepEqual(result.plan.allowed_domains, result.allowedDomains);
+});
+
+
+test('runSafetyCheck applies domain policies to the page each step runs on', () => {
+    const steps = () => plan([
+        { action: 'open_url', params: { url: 'https://bank.example' } },
+        { action: 'click_element', params: { target: 'Statements' } },
+    ]);
+    assert.equal(runSafetyCheck(steps(), { domainPolicies: [{ domain: 'bank.example', policy: 'read_only' }] }).safe, false);
+    assert.equal(runSafetyCheck(steps(), { domainPolicies: [{ domain: 'bank.example', policy: 'never' }] }).safe, false);
+    assert.equal(runSafetyCheck(steps(), { domainPolicies: [{ domain: 'other.example', policy: 'never' }] }).safe, true);
+});
+
+
+test('runSafetyCheck blocks navigation to domains the request never mentions', () => {
+    const steps = () => plan([{ action: 'open_url', params: { url: 'https://evil.example/login' } }]);
+    assert.equal(runSafetyCheck(steps(), { intent: 'check the weather on weather.example' }).safe, false);
+    assert.equal(runSafetyCheck(steps(), { intent: 'log in to evil.example' }).safe, true);
+    assert.equal(runSafetyCheck(steps(), {
+        intent: 'check the weather',
+        domainPolicies: [{ domain: 'evil.example', policy: 'full' }],
+    }).safe, true);
+});
+
+test('runSafetyCheck lets requests that name no site use a search engine', () => {
+    const steps = () => plan([{ action: 'open_url', params: { url: 'https://www.google.com/search?q=running+shoes' } }]);
+    assert.equal(runSafetyCheck(steps(), { intent: 'search for running shoes' }).safe, true);
+    assert.equal(runSafetyCheck(steps(), {
+        intent: 'search for running shoes',
+        domainPolicies: [{ domain: 'google.com', policy: 'never' }],
+    }).safe, false);
+});
+
+test('runSafetyCheck leaves templated hosts to the executor', () => {
+    const result = runSafetyCheck(validatePlan({
+        variables: { host: 'shop.example', query: 'shoes' },
+        steps: [
+            { action: 'open_url', params: { url: 'https://{{host}}/item' } },
+            { action: 'new_tab', params: { url: 'https://store.example/search?q={{query}}' } },
+        ],
+    }).plan, { intent: 'compare prices on store.example' });
+    assert.equal(result.safe, true, result.violations.join('; '));
+    assert.deepEqual(result.allowedDomains, ['store.example']);
+});
+
+test('runSafetyCheck skips the request check for runs without one', () => {
+    // Desktop, macro and trigger runs have no prompt; their checkpoints resume with intent null
+    const steps = () => plan([{ action: 'open_url', params: { url: 'https://shop.example' } }]);
+    assert.equal(runSafetyCheck(steps(), { intent: null }).safe, true);
+    assert.equal(runSafetyCheck(steps(), {}).safe, true);
+});
+
+
+// ── verifyAuditChain ───────────────────────────────────
+async function buildChain(events) {
+    const records = [];
+    for (const event of events) {
+        const last = records[records.length - 1];
+        const record = {
+            seq: last ? last.seq + 1 : 1,
+            ts: '2026-01-01T00:00:00.000Z',
+            event,
+            prev_hash: last ? last.hash : '0'.repeat(64),
+        };
+        record.hash = await sha256Hex(JSON.stringify(record));
+        records.push(record);
+    }
+    return records;
+}
+
+test('verifyAuditChain accepts an intact chain, and an empty one', async () => {
+    const records = await buildChain(['plan_received', 'safety_decision', 'step']);
+    assert.deepEqual(await verifyAuditChain(records), { ok: true, checked: 3, broken_at: null });
+    assert.deepEqual(await verifyAuditChain([]), { ok: true, checked: 0, broken_at: null });
+});
+
+test('verifyAuditChain accepts a chain whose oldest records were dropped', async () => {
+    const records = await buildChain(['plan_received', 'safety_decision', 'step']);
+    assert.equal((await verifyAuditChain(records.slice(1))).ok, true);
+});
+
+test('verifyAuditChain reports the first edited record', async () => {
+    const records = await buildChain(['plan_received', 'safety_decision', 'step']);
+    records[1].event = 'step';
+    assert.deepEqual(await verifyAuditChain(records), { ok: false, checked: 3, broken_at: 2 });
+});
+
+test('verifyAuditChain reports removed and reordered records', async () => {
+    const records = await buildChain(['plan_received', 'safety_decision', 'step', 'execution_finished']);
+    assert.equal((await verifyAuditChain([records[0], records[2], records[3]])).broken_at, 3);
+    assert.equal((await verifyAuditChain([records[0], records[2], records[1], records[3]])).broken_at, 3);
+});
+
+test('verifyAuditChain checks the end of the log against its anchor', async () => {
+    const records = await buildChain(['plan_received', 'safety_decision', 'step', 'execution_finished']);
+    const anchor = { seq: 4, hash: records[3].hash };
+    assert.equal((await verifyAuditChain(records, anchor)).ok, true);
+    // Records cut off the end leave a valid chain; the anchor catches it
+    assert.deepEqual(await verifyAuditChain(records.slice(0, 2), anchor), { ok: false, checked: 2, broken_at: 3 });
+    assert.equal((await verifyAuditChain([], anchor)).ok, false);
+});
+
+test('verifyAuditChain catches a log rewritten with fresh hashes', async () => {
+    const records = await buildChain(['plan_received', 'safety_decision', 'step']);
+    const anchor = { seq: 3, hash: records[2].hash };
+    const rewritten = await buildChain(['plan_received', 'safety_decision', 'kill_switch']);
+    assert.equal((await verifyAuditChain(rewritten)).ok, true);
+    assert.deepEqual(await verifyAuditChain(rewritten, anchor), { ok: false, checked: 3, broken_at: 3 });
+});
+
+// ── redactPlanSteps ────────────────────────────────────────
+test('redactPlanSteps keeps passwords typed as literals out of stored plans', () => {
+    const steps = [
+        { action: 'type_into', params: { target: 'Email', text: 'me@example.com' } },
+        { action: 'type_into', params: { target: 'Password', text: 'hunter2', pressEnter: true } },
+        {
+            action: 'if',
+            condition: { text_present: 'PIN' },
+            then: [{ action: 'type_into', params: { target: 'Security code', text: '1234' } }],
+        },
+        {
+            action: 'click_element',
+            params: { target: 'Sign in' },
+            on_error: { policy: 'fallback', step: { action: 'type_into', params: { target: 'pwd', text: 'hunter2' }, sensitive_field: 'password' } },
+        },
+    ];
+    const stored = JSON.stringify(redactPlanSteps(steps));
+    assert.ok(!stored.includes('hunter2'));
+    assert.ok(!stored.includes('1234'));
+    assert.ok(stored.includes('me@example.com'));
+    assert.equal(redactPlanSteps(steps)[1].params.text, REDACTED_VALUE);
+    assert.equal(redactPlanSteps(steps)[1].params.pressEnter, true);
+    // The input is left alone: the run still needs the real text
+    assert.equal(steps[1].params.text, 'hunter2');
+});
+
+test('redactPlanSteps keeps {{variable}} references, whose values are redacted separately', () => {
+    const [step] = redactPlanSteps([{ action: 'type_into', params: { target: 'Password', text: '{{password}}' } }]);
+    assert.equal(step.params.text, '{{password}}');
+});
@@ -0,0 +1,229 @@
+// ============================================================
+// Autonion — DOM Execution Functions (click and type)
+// Loaded by the service worker, which injects them into pages with
+// chrome.scripting (so each stays self-contained), and by the recorder,
+// which checks that a recorded target finds the same element on replay.
+// With `locateOnly` they return the element they would act on
+// ({ element, matches? }) and leave the page alone.
+// ============================================================
+
+function executeDOMClick(target, type, index, targetId = null, locateOnly = false) {
+    // A snapshot id (data-autonion-id) names exactly one element
+    if (targetId) {
+        const el = document.querySelector(`[data-autonion-id="${CSS.escape(targetId)}"]`);
+        if (!el) return { error: `Element with id "${targetId}" not found` };
+        if (locateOnly) return { element: el, matches: [el] };
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.click();
+        return { success: true, tag: el.tagName, text: el.textContent?.slice(0, 50), matchCount: 1, usedIndex: 0 };
+    }
+    if (!target) return { error: 'click_element requires a "target" or "target_id" param' };
+
+    const lowerTarget = target.toLowerCase().trim();
+    const matchIndex = index || 0;
+    let matches = [];
+
+    if (type === 'text') {
+        // XPath text search — collect ALL matches
+        const xpath = `//*[contains(translate(normalize-space(text()), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), '${lowerTarget.replace(/'/g, "\\'")}')]`;
+        const result = document.evaluate(xpath, document.body, null, XPathResult.ORDERED_NODE_ITERATOR_TYPE, null);
+        let node;
+        while ((node = result.iterateNext())) {
+            if (node.offsetParent !== null) matches.push(node);
+        }
+        // Sort by depth (deepest = most specific)
+        matches.sort((a, b) => {
+            let dA = 0, pA = a; while (pA.parentElement) { dA++; pA = pA.parentElement; }
+            let dB = 0, pB = b; while (pB.parentElement) { dB++; pB = pB.parentElement; }
+            return dB - dA;
+        });
+    } else if (type === 'role') {
+        matches = [...document.querySelectorAll(`[role="${CSS.escape(target)}"]`)].filter(el => el.offsetParent !== null);
+    } else if (type === 'label') {
+        matches = [...document.querySelectorAll(`[aria-label*="${CSS.escape(target)}" i], [title*="${CSS.escape(target)}" i]`)].filter(el => el.offsetParent !== null);
+    } else if (type === 'selector') {
+        try { matches = [...document.querySelectorAll(target)].filter(el => el.offsetParent !== null); } catch (_) { }
+    }
+
+    if (matches.length === 0) {
+        // Fallback 1: match by element id (e.g. "video title" -> id="video-title")
+        const idTarget = lowerTarget.replace(/\s+/g, '-');
+        const idMatches = [...document.querySelectorAll(`[id*="${CSS.escape(idTarget)}" i]`)].filter(el => el.offsetParent !== null);
+        if (idMatches.length > 0) {
+            matches = idMatches;
+        }
+    }
+
+    if (matches.length === 0) {
+        // Fallback 2: broader clickable element search by text/label
+        const allEls = document.querySelectorAll('a, button, [role="button"], [role="link"], input[type="submit"], input[type="button"], [onclick], [data-action]');
+        for (const candidate of allEls) {
+            const text = (candidate.textContent || candidate.getAttribute('aria-label') || candidate.getAttribute('title') || '').toLowerCase().trim();
+            if (text.includes(lowerTarget) && candidate.offsetParent !== null) {
+                matches.push(candidate);
+            }
+        }
+    }
+
+    if (matches.length === 0) return { error: `Element not found: "${target}" (type: ${type})` };
+
+    // Use the Nth match (clamped to range)
+    const el = matches[Math.min(matchIndex, matches.length - 1)];
+    if (locateOnly) return { element: el, matches };
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.click();
+    return { success: true, tag: el.tagName, text: el.textContent?.slice(0, 50), matchCount: matches.length, usedIndex: Math.min(matchIndex, matches.length - 1) };
+}
+
+function executeDOMType(target, text, type, pressEnter, sensitivePatterns = [], allowSensitive = false, targetId = null, locateOnly = false) {
+    if (!target && !targetId) return { error: 'type_into requires a "target" or "target_id" param' };
+    const lowerTarget = (target || '').toLowerCase().trim();
+    let el = null;
+
+    // Helper to find input with various selectors
+    const findInput = (selector) => {
+        try {
+            return document.querySelector(selector);
+        } catch (_) { return null; }
+    };
+
+    if (targetId) {
+        // A snapshot id (data-autonion-id) names exactly one element
+        el = document.querySelector(`[data-autonion-id="${CSS.escape(targetId)}"]`);
+        if (!el) return { error: `Element with id "${targetId}" not found` };
+    } else if (type === 'label' || type === 'placeholder') {
+        // Priority: exact label/placeholder match -> fuzzy match
+        el = findInput(`input[aria-label*="${CSS.escape(target)}" i]`) ||
+            findInput(`input[placeholder*="${CSS.escape(target)}" i]`) ||
+            findInput(`input[name*="${CSS.escape(target)}" i]`) ||
+            findInput(`input[id*="${CSS.escape(lowerTarget.replace(/\s+/g, ''))}" i]`) || // ID check
+            findInput(`textarea[aria-label*="${CSS.escape(target)}" i]`) ||
+            findInput(`textarea[placeholder*="${CSS.escape(target)}" i]`) ||
+            findInput(`[contenteditable][aria-label*="${CSS.escape(target)}" i]`);
+
+        if (!el) {
+            // Check <label> tags
+            const labels = document.querySelectorAll('label');
+            for (const label of labels) {
+                if (label.textContent.toLowerCase().includes(lowerTarget)) {
+                    const forId = label.getAttribute('for');
+                    if (forId) { el = document.getElementById(forId); break; }
+                    el = label.querySelector('input, textarea');
+                    if (el) break;
+                }
+            }
+        }
+    } else if (type === 'selector') {
+        el = findInput(target);
+    }
+
+    if (!el) {
+        // Broad search fallback: check attributes of all inputs
+        const inputs = document.querySelectorAll('input:not([type="hidden"]), textarea, [contenteditable="true"]');
+        for (const input of inputs) {
+            const placeholder = (input.getAttribute('placeholder') || '').toLowerCase();
+            const ariaLabel = (input.getAttribute('aria-label') || '').toLowerCase();
+            const name = (input.getAttribute('name') || '').toLowerCase();
+            const id = (input.id || '').toLowerCase();
+
+            if (placeholder.includes(lowerTarget) || ariaLabel.includes(lowerTarget) || name.includes(lowerTarget) || id.includes(lowerTarget)) {
+                el = input;
+                break;
+            }
+        }
+    }
+
+    if (!el) return { error: `Input "${target}" not found` };
+    if (locateOnly) return { element: el };
+
+    // Password, payment and one-time-code fields need the user's approval first
+    // (same rules as captureDOMSnapshotInjected's sensitiveKind)
+    const autocomplete = (el.getAttribute('autocomplete') || '').toLowerCase();
+    const fieldWords = [el.getAttribute('aria-label'), el.getAttribute('placeholder'), el.getAttribute('name'), el.id, el.labels?.[0]?.textContent]
+        .filter(Boolean).join(' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ');
+    const sensitive = (el.getAttribute('type') || '').toLowerCase() === 'password' || /\b(current|new)-password\b/.test(autocomplete) ? 'password'
+        : /(^|\s)cc-/.test(autocomplete) ? 'payment'
+            : /\bone-time-code\b/.test(autocomplete) ? 'otp'
+                : sensitivePatterns.find(([, source, flags]) => new RegExp(source, flags).test(fieldWords))?.[0] || null;
+    if (sensitive && !allowSensitive) return { sensitive, error: `Input "${target}" is a ${sensitive} field` };
+
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.focus();
+
+    if (el.getAttribute('contenteditable') === 'true') {
+        el.textContent = text;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+    } else {
+        // Use native setter to trigger React/Angular/Vue change detection
+        const nativeSetter = Object.getOwnPropertyDescriptor(
+            window.HTMLInputElement.prototype, 'value'
+        )?.set || Object.getOwnPropertyDescriptor(
+            window.HTMLTextAreaElement.prototype, 'value'
+        )?.set;
+        if (nativeSetter) {
+            nativeSetter.call(el, text);
+        } else {
+            el.value = text;
+        }
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Auto-detect if this is a search field
+    const inputType = (el.getAttribute('type') || '').toLowerCase();
+    const role = (el.getAttribute('role') || '').toLowerCase();
+    const ariaLabel = (el.getAttribute('aria-label') || '').toLowerCase();
+    const name = (el.getAttribute('name') || '').toLowerCase();
+    const elId = (el.id || '').toLowerCase();
+    const isSearchField = inputType === 'search' ||
+        role === 'searchbox' || role === 'combobox' ||
+        ariaLabel.includes('search') ||
+        name.includes('search') || name.includes('query') || name === 'q' ||
+        elId.includes('search') || elId === 'q' ||
+        el.closest('form[role="search"]') !== null;
+
+    // Press Enter INLINE (same context, element still focused)
+    let enterPressed = false;
+    if (pressEnter || isSearchField) {
+        enterPressed = true;
+
+        // Small delay to let input events settle
+        // (YouTube's autocomplete needs a moment)
+
+        // Dispatch full keyboard event sequence for Enter
+        const enterDown = new KeyboardEvent('keydown', {
+            key: 'Enter', code: 'Enter', keyCode: 13, which: 13,
+            bubbles: true, cancelable: true,
+        });
+        const prevented = !el.dispatchEvent(enterDown);
+
+        if (!prevented) {
+            el.dispatchEvent(new KeyboardEvent('keypress', {
+                key: 'Enter', code: 'Enter', keyCode: 13, which: 13,
+                bubbles: true, cancelable: true,
+            }));
+        }
+
+        el.dispatchEvent(new KeyboardEvent('keyup', {
+            key: 'Enter', code: 'Enter', keyCode: 13, which: 13,
+            bubbles: true,
+        }));
+
+        // Fallback: submit the form directly
+        const form = el.closest('form');
+        if (form) {
+            try { form.requestSubmit(); } catch (_) { form.submit(); }
+        }
+    }
+
+    const label = el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('name') || '';
+    return { success: true, tag: el.tagName, label, isSearchField, enterPressed };
+}
+
+// Export
+if (typeof globalThis !== 'undefined') {
+    globalThis.AutonionDOMExecutor = {
+        executeDOMClick,
+        executeDOMType,
+    };
+}
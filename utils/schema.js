@@ -6,11 +6,25 @@
  * Validates a plan against the shared Autonion schema.
  * Expected format:
  * {
+ *   "schema_version": 1,
  *   "transaction_id": "uuid-string",
  *   "steps": [
- *     { "action": "open_url", "params": { ... }, "safety_check": "passed" }
- *   ]
+ *     { "action": "open_url", "params": { ... }, "safety_check": "passed",
+ *       "on_error": "abort" | "skip" | { "policy": "retry", "count": 2, "backoff_ms": 1000 }
+ *                   | { "policy": "fallback", "step": { "action": ..., "params": { ... } } },
+ *       "expect": { "url_matches": "/checkout", "timeout_ms": 10000 },
+ *       "save_as": "order_id" }
+ *   ],
+ *   "variables": { "query": "running shoes" }
  * }
+ * Any string in a step may reference a variable as "{{name}}".
+ *
+ * Control-flow steps nest further steps (all of which count toward MAX_STEPS):
+ *   { "action": "if", "condition": { "element_exists": { "target": "Accept all" } },
+ *     "then": [ ... ], "else": [ ... ] }
+ *   { "action": "repeat", "max_iterations": 5, "until": { "text_present": "Order #123" }, "steps": [ ... ] }
+ *   { "action": "for_each", "elements": { "target": "Add to cart" } | "list": [ ... ] | "{{var}}",
+ *     "as": "item", "max_iterations": 10, "steps": [ ... ] }
  */
 
 const ALLOWED_ACTIONS = [
@@ -19,40 +33,694 @@ const ALLOWED_ACTIONS = [
   'type_into',
   'press_key',
   'wait',
+  'wait_for',
   'scroll_to',
   'select_option',
   'read_text',
   'go_back',
   'go_forward',
   'refresh',
+  'new_tab',
+  'switch_tab',
+  'list_tabs',
   'close_tab',
   'play_media',
 ];
 
-const DESTRUCTIVE_KEYWORDS = [
-  'delete', 'remove', 'reset', 'format', 'purchase',
-  'buy', 'unsubscribe', 'deactivate', 'terminate',
-  'cancel subscription', 'erase',
+// Step risk levels: "confirm" steps pause for the user's approval before they
+// run, "forbidden" steps block the whole plan. Rules match whole words in the
+// step's params; "confirm" rules only apply to steps that act on the page.
+const RISK_LEVELS = ['safe', 'confirm', 'forbidden'];
+const RISK_RULES = [
+  { level: 'forbidden', pattern: /\b(delete|close|deactivate|terminate|erase)\s+(my\s+|your\s+|the\s+|this\s+)?account\b/, reason: 'deletes an account' },
+  { level: 'forbidden', pattern: /\b(factory reset|format (the )?(disk|drive))\b/, reason: 'wipes a device' },
+  { level: 'confirm', pattern: /\b(delete|erase|permanently remove|empty trash)\b/, reason: 'deletes data' },
+  { level: 'confirm', pattern: /\b(buy|purchase|checkout|check out|place (your |my )?order|pay now|confirm payment)\b/, reason: 'spends money' },
+  { level: 'confirm', pattern: /\b(unsubscribe|cancel (your |my |the )?(subscription|membership|plan))\b/, reason: 'cancels a subscription' },
+  { level: 'confirm', pattern: /\b(deactivate|terminate|reset)\b/, reason: 'changes account state' },
+  { level: 'confirm', pattern: /\b(send money|transfer funds|transfer money)\b/, reason: 'moves money' },
 ];
+// Steps that act on the page; the rest only navigate, wait or read
+const ACTING_ACTIONS = ['click_element', 'press_key', 'select_option', 'type_into'];
 
+// Per-domain policies from popup settings. "never": no step runs on (or
+// navigates to) the domain; "read_only": its pages may be read and scrolled
+// but not clicked, typed into or played; "full": plans may act there even
+// without opening it themselves (the allowlist).
+const DOMAIN_POLICIES = ['never', 'read_only', 'full'];
+const READ_ONLY_DENIED_ACTIONS = [...ACTING_ACTIONS, 'play_media'];
+// Requests like "search for running shoes" name no site; plans may open a
+// search engine for them without the request mentioning it
+const SEARCH_ENGINE_DOMAINS = ['google.com', 'bing.com', 'duckduckgo.com', 'search.yahoo.com', 'search.brave.com'];
+
+// Fields whose contents are secrets. Pages mark them with type="password" or
+// autocomplete="*-password" / "cc-*" / "one-time-code"; otherwise their label,
+// name, id or placeholder is matched against these (first match wins, after
+// "_", "-" and camelCase are split into words). Sensitive values are redacted
+// from snapshots, and typing into or reading one needs the user's approval.
+const SENSITIVE_FIELD_PATTERNS = [
+  { kind: 'payment', pattern: /\b(card ?(number|no|num)|credit ?card|debit ?card|cc ?(number|num|csc|cvv|exp)|cvv2?|cvc|csc|security code|expiry|expiration)\b/i },
+  { kind: 'otp', pattern: /\b(otp|one ?time|verification code|auth(entication)? code|2fa|mfa|passcode|sms code)\b/i },
+  { kind: 'password', pattern: /\b(password|passwd|passphrase|pwd|pin)\b/i },
+];
+
+// Stands in for a secret wherever a step or variable is shown or stored
+const REDACTED_VALUE = '[REDACTED]';
+
+// Instruction-like phrases a hostile page might plant for an LLM to obey.
+// Page text matching one is flagged in DOM snapshots (never removed).
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget)\b.{0,40}\b(previous|prior|above|earlier|all)\b.{0,20}\b(instructions?|prompts?|rules)\b/i,
+  /\b(new|updated|real)\s+instructions?\s*:/i,
+  /\byou\s+are\s+now\b/i,
+  /\b(system|developer)\s+(prompt|message)\b/i,
+  /^\s*(system|assistant)\s*:/i,
+  /\bdo\s+not\s+(tell|inform|alert)\s+the\s+user\b/i,
+  /\b(navigate|go|redirect)\s+to\s+https?:\/\//i,
+  /\b(reveal|send|share|exfiltrate)\b.{0,30}\b(password|api key|token|credentials?|cookies?)\b/i,
+];
+
+// Structured log records (addLog): severity, lowest first, and the part of
+// the extension that wrote them. The popup's log viewer filters on both.
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_CATEGORIES = ['ws', 'classifier', 'rules', 'executor', 'chatbot', 'safety', 'queue', 'recorder', 'system'];
+
+// Default step limit; callers pass a per-source limit to validatePlan
 const MAX_STEPS = 10;
 
+// Per-source execution limits (user-adjustable in popup settings, clamped to
+// the hard ceilings below). Steps count nested ones; duration is wall-clock.
+const PLAN_SOURCES = ['manual', 'android', 'desktop', 'trigger'];
+const DEFAULT_EXECUTION_LIMITS = {
+  manual: { max_steps: MAX_STEPS, max_duration_s: 300 },
+  android: { max_steps: MAX_STEPS, max_duration_s: 300 },
+  desktop: { max_steps: 30, max_duration_s: 900 },
+  trigger: { max_steps: MAX_STEPS, max_duration_s: 300 },
+};
+const STEP_LIMIT_CEILING = 100;
+const DURATION_LIMIT_CEILING_S = 3600;
+
+// Control-flow steps and their limits. Conditions are checked against the
+// current page; "until" is checked before each repeat iteration.
+const CONTROL_ACTIONS = ['if', 'repeat', 'for_each'];
+const CONDITION_TYPES = ['element_exists', 'text_present', 'url_matches'];
+const NESTED_STEP_KEYS = ['then', 'else', 'steps'];
+const MAX_LOOP_ITERATIONS = 20;
+const MAX_NESTING_DEPTH = 3;
+// Runtime cap on steps actually run (loops multiply the plan's step count)
+const MAX_EXECUTED_STEPS = 100;
+
+// Per-step failure policies. Steps without "on_error" keep the historical
+// behaviour: log the failure and move on to the next step.
+const ERROR_POLICIES = ['abort', 'retry', 'skip', 'fallback'];
+const DEFAULT_ERROR_POLICY = 'skip';
+const MAX_RETRIES = 5;
+const MAX_RETRY_BACKOFF_MS = 30000;
+
+// Post-condition checks a step may declare in its "expect" block.
+// The executor polls until all of them hold or timeout_ms expires.
+const EXPECT_CONDITIONS = ['url_matches', 'title_contains', 'element_appears', 'element_disappears', 'media_playing'];
+const ELEMENT_TARGET_TYPES = ['text', 'role', 'label', 'selector'];
+const DEFAULT_EXPECT_TIMEOUT_MS = 10000;
+const MAX_EXPECT_TIMEOUT_MS = 30000;
+
+// States a wait_for step can wait for on its target element
+const WAIT_FOR_STATES = ['appear', 'visible', 'enabled', 'disappear'];
+
+// Ways a switch_tab step can pick one of the plan's tabs (exactly one per step)
+const SWITCH_TAB_SELECTORS = ['handle', 'url_pattern', 'title', 'index'];
+const TAB_HANDLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]{0,31}$/;
+
+// Plan variables: seeded from plan.variables, written by a step's "save_as",
+// read anywhere in a later step as {{name}}
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const SAVEABLE_ACTIONS = ['read_text', 'list_tabs'];
+
+// Plan format version. Plans without "schema_version" are treated as current.
+const PLAN_SCHEMA_VERSION = 1;
+const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+// Per-action "params" schemas (a JSON Schema subset: type, required,
+// properties, enum, minimum/maximum, minLength, format). Unknown params are
+// ignored. A value that is exactly one {{variable}} is type-checked when the
+// step runs; a string containing templates skips its format check.
+const TARGET_PARAM = { type: 'string', minLength: 1 };
+const TARGET_TYPE_PARAM = { type: 'string', enum: ELEMENT_TARGET_TYPES };
+const INDEX_PARAM = { type: 'integer', minimum: 0 };
+const TAB_HANDLE_PARAM = { type: 'string', pattern: TAB_HANDLE_PATTERN };
+// Actions that accept a snapshot "target_id" in place of "target"
+const ID_TARGETABLE_ACTIONS = ['click_element', 'type_into', 'read_text'];
+
+const PARAM_SCHEMAS = {
+  open_url: {
+    required: ['url'],
+    properties: { url: { type: 'string', format: 'url' }, as: TAB_HANDLE_PARAM },
+  },
+  click_element: {
+    required: [],
+    properties: { target: TARGET_PARAM, type: TARGET_TYPE_PARAM, index: INDEX_PARAM, target_id: { type: 'string' } },
+  },
+  type_into: {
+    required: ['text'],
+    properties: {
+      target: TARGET_PARAM,
+      target_id: { type: 'string' },
+      text: { type: 'string' },
+      type: { type: 'string', enum: ['label', 'placeholder', 'selector', 'text', 'role'] },
+      pressEnter: { type: 'boolean' },
+    },
+  },
+  press_key: {
+    required: [],
+    properties: { key: { type: 'string', minLength: 1 }, target: TARGET_PARAM, type: TARGET_TYPE_PARAM },
+  },
+  wait: {
+    required: [],
+    properties: { ms: { type: 'integer', minimum: 0, maximum: 60000 } },
+  },
+  wait_for: {
+    required: [],
+    properties: {
+      target: TARGET_PARAM,
+      type: TARGET_TYPE_PARAM,
+      state: { type: 'string', enum: WAIT_FOR_STATES },
+      timeout_ms: { type: 'integer', minimum: 1, maximum: MAX_EXPECT_TIMEOUT_MS },
+      network_idle: { type: ['boolean', 'object'] },
+    },
+  },
+  scroll_to: {
+    required: ['target'],
+    properties: { target: TARGET_PARAM, type: TARGET_TYPE_PARAM },
+  },
+  select_option: {
+    required: ['target', 'value'],
+    properties: { target: TARGET_PARAM, value: { type: 'string', minLength: 1 } },
+  },
+  read_text: {
+    required: [],
+    properties: { target: TARGET_PARAM, type: TARGET_TYPE_PARAM, index: INDEX_PARAM, target_id: { type: 'string' } },
+  },
+  go_back: { required: [], properties: {} },
+  go_forward: { required: [], properties: {} },
+  refresh: { required: [], properties: {} },
+  new_tab: {
+    required: [],
+    properties: { url: { type: 'string', format: 'url' }, as: TAB_HANDLE_PARAM },
+  },
+  switch_tab: {
+    required: [],
+    properties: {
+      handle: { type: 'string' },
+      url_pattern: { type: 'string', format: 'regex' },
+      title: { type: 'string', minLength: 1 },
+      index: INDEX_PARAM,
+    },
+  },
+  list_tabs: { required: [], properties: {} },
+  close_tab: { required: [], properties: {} },
+  play_media: { required: [], properties: {} },
+};
+
+/**
+ * Validates a params object against its PARAM_SCHEMAS entry.
+ * @param {object} params
+ * @param {{ required: string[], properties: object }} schema
+ * @param {string} path - e.g. "steps[3].params"
+ * @returns {string[]} errors like "steps[3].params.url: invalid URL"
+ */
+function validateAgainstSchema(params, schema, path) {
+  const errors = [];
+  for (const key of schema.required) {
+    if (params[key] === undefined || params[key] === null) errors.push(`${path}.${key}: is required`);
+  }
+  for (const [key, rule] of Object.entries(schema.properties)) {
+    if (params[key] === undefined || params[key] === null) continue;
+    const error = checkParamValue(params[key], rule);
+    if (error) errors.push(`${path}.${key}: ${error}`);
+  }
+  return errors;
+}
+
+// Returns what is wrong with a single param value, or null
+function checkParamValue(value, rule) {
+  if (typeof value === 'string' && /^\{\{\s*[A-Za-z_][A-Za-z0-9_]*\s*\}\}$/.test(value)) return null;
+
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  const typeOk = types.some(type => {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === type;
+  });
+  if (!typeOk) return `must be ${types.map(t => (t === 'integer' ? 'an integer' : `a ${t}`)).join(' or ')}`;
+
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}`;
+  if (rule.minLength !== undefined && value.length < rule.minLength) return 'must not be empty';
+  if (rule.minimum !== undefined && value < rule.minimum) return `must be >= ${rule.minimum}`;
+  if (rule.maximum !== undefined && value > rule.maximum) return `must be <= ${rule.maximum}`;
+  if (rule.pattern && !rule.pattern.test(value)) return 'has an invalid format';
+
+  const templated = typeof value === 'string' && value.includes('{{');
+  if (rule.format === 'url' && !templated) {
+    try {
+      const url = new URL(value);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'invalid URL (must be http or https)';
+    } catch (_) {
+      return 'invalid URL';
+    }
+  }
+  if (rule.format === 'regex' && !templated) {
+    try { new RegExp(value); } catch (_) { return 'invalid regular expression'; }
+  }
+  return null;
+}
+
+/**
+ * Normalizes a step's "on_error" field (string shorthand or object) into
+ * { policy, count, backoff_ms, step }.
+ * @param {string|object|undefined} onError
+ * @returns {{ policy: string, count: number, backoff_ms: number, step: object|null }}
+ */
+function normalizeErrorPolicy(onError) {
+  const raw = typeof onError === 'string' ? { policy: onError } : (onError || {});
+  const policy = raw.policy || DEFAULT_ERROR_POLICY;
+  return {
+    policy,
+    count: policy === 'retry' ? (raw.count ?? 2) : 0,
+    backoff_ms: policy === 'retry' ? (raw.backoff_ms ?? 1000) : 0,
+    step: policy === 'fallback' ? (raw.step || null) : null,
+  };
+}
+
+/**
+ * Validates a step's "on_error" field.
+ * @param {*} onError
+ * @param {string} label - Path of the step, e.g. "steps[2]"
+ * @returns {string[]} errors
+ */
+function validateErrorPolicy(onError, label) {
+  if (onError === undefined) return [];
+  if (typeof onError !== 'string' && (!onError || typeof onError !== 'object' || Array.isArray(onError))) {
+    return [`${label}.on_error: must be a policy name or an object`];
+  }
+
+  const errors = [];
+  const { policy, count, backoff_ms: backoffMs, step } = normalizeErrorPolicy(onError);
+  if (!ERROR_POLICIES.includes(policy)) {
+    return [`${label}.on_error.policy: unknown policy "${policy}" (expected ${ERROR_POLICIES.join(', ')})`];
+  }
+
+  if (policy === 'retry') {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RETRIES) {
+      errors.push(`${label}.on_error.count: must be an integer between 1 and ${MAX_RETRIES}`);
+    }
+    if (typeof backoffMs !== 'number' || backoffMs < 0 || backoffMs > MAX_RETRY_BACKOFF_MS) {
+      errors.push(`${label}.on_error.backoff_ms: must be between 0 and ${MAX_RETRY_BACKOFF_MS}`);
+    }
+  }
+
+  if (policy === 'fallback') {
+    if (!step || typeof step !== 'object') {
+      errors.push(`${label}.on_error.step: is required for the fallback policy`);
+    } else {
+      if (!ALLOWED_ACTIONS.includes(step.action)) {
+        errors.push(`${label}.on_error.step.action: unknown action "${step.action}"`);
+      }
+      if (!step.params || typeof step.params !== 'object') {
+        errors.push(`${label}.on_error.step.params: must be an object`);
+      } else if (PARAM_SCHEMAS[step.action]) {
+        errors.push(...validateAgainstSchema(step.params, PARAM_SCHEMAS[step.action], `${label}.on_error.step.params`));
+      }
+      if (step.on_error !== undefined) {
+        errors.push(`${label}.on_error.step.on_error: a fallback step cannot declare its own policy`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a step's "expect" block.
+ * @param {*} expect
+ * @param {string} label - Path of the step, e.g. "steps[2]"
+ * @returns {string[]} errors
+ */
+function validateExpectation(expect, label) {
+  if (expect === undefined) return [];
+  if (!expect || typeof expect !== 'object' || Array.isArray(expect)) {
+    return [`${label}.expect: must be an object`];
+  }
+
+  const errors = [];
+  const conditions = Object.keys(expect).filter(k => k !== 'timeout_ms');
+  if (conditions.length === 0) {
+    errors.push(`${label}.expect: declares no conditions (expected one of ${EXPECT_CONDITIONS.join(', ')})`);
+  }
+
+  for (const key of conditions) {
+    const value = expect[key];
+    switch (key) {
+      case 'url_matches':
+        if (typeof value !== 'string' || !value) {
+          errors.push(`${label}.expect.url_matches: must be a non-empty string`);
+        } else {
+          try { new RegExp(value); } catch (_) {
+            errors.push(`${label}.expect.url_matches: invalid regular expression`);
+          }
+        }
+        break;
+      case 'title_contains':
+        if (typeof value !== 'string' || !value) errors.push(`${label}.expect.title_contains: must be a non-empty string`);
+        break;
+      case 'element_appears':
+      case 'element_disappears':
+        if (!value || typeof value !== 'object' || typeof value.target !== 'string' || !value.target) {
+          errors.push(`${label}.expect.${key}: must be an object with a "target" string`);
+        } else if (value.type !== undefined && !ELEMENT_TARGET_TYPES.includes(value.type)) {
+          errors.push(`${label}.expect.${key}.type: must be one of ${ELEMENT_TARGET_TYPES.join(', ')}`);
+        }
+        break;
+      case 'media_playing':
+        if (typeof value !== 'boolean') errors.push(`${label}.expect.media_playing: must be a boolean`);
+        break;
+      default:
+        errors.push(`${label}.expect.${key}: unknown condition`);
+    }
+  }
+
+  if (expect.timeout_ms !== undefined &&
+    (typeof expect.timeout_ms !== 'number' || expect.timeout_ms <= 0 || expect.timeout_ms > MAX_EXPECT_TIMEOUT_MS)) {
+    errors.push(`${label}.expect.timeout_ms: must be between 1 and ${MAX_EXPECT_TIMEOUT_MS}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Collects the variable names referenced as {{name}} anywhere in a value.
+ * @param {*} value - string, array or object (searched recursively)
+ * @param {Set<string>} [refs]
+ * @returns {Set<string>}
+ */
+function findTemplateRefs(value, refs = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) refs.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => findTemplateRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findTemplateRefs(item, refs));
+  }
+  return refs;
+}
+
+/**
+ * Variables a plan uses but never sets itself: the parameters a saved macro
+ * asks for. plan.variables, "save_as" and for_each "as" (with "<as>_index")
+ * all count as set.
+ * @param {{ steps: object[], variables?: object }} plan
+ * @returns {string[]} names in order of first use
+ */
+function findPlanParameters(plan) {
+  const defined = new Set(Object.keys(plan.variables || {}));
+  const used = new Set();
+  walkSteps(plan.steps || [], (step) => {
+    if (typeof step.save_as === 'string') defined.add(step.save_as);
+    if (step.action === 'for_each' && typeof step.as === 'string') {
+      defined.add(step.as);
+      defined.add(`${step.as}_index`);
+    }
+    findTemplateRefs([step.params, step.expect, step.on_error, step.condition, step.until, step.list], used);
+  });
+  return [...used].filter(name => !defined.has(name));
+}
+
+/**
+ * Returns a copy of `value` with every {{name}} replaced from `variables`.
+ * A string that is exactly one template keeps the variable's type, so
+ * "index": "{{n}}" can resolve to a number.
+ * @param {*} value
+ * @param {object} variables
+ * @returns {*}
+ * @throws {Error} if a referenced variable is not set
+ */
+function resolveTemplates(value, variables) {
+  const lookup = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new Error(`Variable "${name}" is not defined`);
+    }
+    return variables[name];
+  };
+
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/);
+    if (whole) return lookup(whole[1]);
+    return value.replace(TEMPLATE_PATTERN, (_, name) => String(lookup(name)));
+  }
+  if (Array.isArray(value)) return value.map(item => resolveTemplates(item, variables));
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) resolved[key] = resolveTemplates(item, variables);
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Resolves templates in a step but not in its nested step lists: those are
+ * resolved as they run, once loop variables are set.
+ * @param {object} step
+ * @param {object} variables
+ * @returns {object}
+ */
+function resolveStepTemplates(step, variables) {
+  const resolved = {};
+  for (const [key, value] of Object.entries(step)) {
+    resolved[key] = NESTED_STEP_KEYS.includes(key) ? value : resolveTemplates(value, variables);
+  }
+  return resolved;
+}
+
+/**
+ * Visits every step of a plan, nested ones included, depth-first.
+ * @param {object[]} steps
+ * @param {(step: object, label: string) => void} visit - label like "Step 3.then.1"
+ * @param {string} [labelPrefix]
+ */
+function walkSteps(steps, visit, labelPrefix = 'Step ') {
+  steps.forEach((step, i) => {
+    const label = `${labelPrefix}${i + 1}`;
+    visit(step, label);
+    for (const key of NESTED_STEP_KEYS) {
+      if (Array.isArray(step?.[key])) walkSteps(step[key], visit, nestedLabelPrefix(label, key));
+    }
+  });
+}
+
+function nestedLabelPrefix(label, key) {
+  return key === 'steps' ? `${label}.` : `${label}.${key}.`;
+}
+
+/**
+ * Validates an "if" condition or a repeat "until" condition.
+ * @param {*} condition
+ * @param {string} label - Path of the condition, e.g. "steps[2].condition"
+ * @returns {string[]} errors
+ */
+function validateCondition(condition, label) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${label}: must be an object`];
+  }
+  const errors = [];
+  const types = CONDITION_TYPES.filter(key => condition[key] !== undefined);
+  if (types.length !== 1) {
+    return [`${label}: needs exactly one of ${CONDITION_TYPES.join(', ')}`];
+  }
+  const value = condition[types[0]];
+  switch (types[0]) {
+    case 'element_exists':
+      if (!value || typeof value !== 'object' || typeof value.target !== 'string' || !value.target) {
+        errors.push(`${label}.element_exists: must be an object with a "target" string`);
+      } else if (value.type !== undefined && !ELEMENT_TARGET_TYPES.includes(value.type)) {
+        errors.push(`${label}.element_exists.type: must be one of ${ELEMENT_TARGET_TYPES.join(', ')}`);
+      }
+      break;
+    case 'text_present':
+      if (typeof value !== 'string' || !value) errors.push(`${label}.text_present: must be a non-empty string`);
+      break;
+    case 'url_matches':
+      if (typeof value !== 'string' || !value) {
+        errors.push(`${label}.url_matches: must be a non-empty string`);
+      } else {
+        try { new RegExp(value); } catch (_) {
+          errors.push(`${label}.url_matches: invalid regular expression`);
+        }
+      }
+      break;
+  }
+  if (condition.negate !== undefined && typeof condition.negate !== 'boolean') {
+    errors.push(`${label}.negate: must be a boolean`);
+  }
+  return errors;
+}
+
+/**
+ * Validates plan.variables (initial values for {{name}} templates).
+ * @param {*} variables
+ * @returns {string[]} errors
+ */
+function validateVariables(variables) {
+  if (variables === undefined) return [];
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return ['variables: must be an object of name → value'];
+  }
+  const errors = [];
+  for (const [name, value] of Object.entries(variables)) {
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      errors.push(`variables.${name}: not a valid variable name`);
+    }
+    const scalar = (v) => ['string', 'number', 'boolean'].includes(typeof v);
+    if (!scalar(value) && !(Array.isArray(value) && value.every(scalar))) {
+      errors.push(`variables.${name}: must be a string, number, boolean or a list of those`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Checks that a step only references variables defined before it and that
+ * its "save_as" is usable. The saved name is added to `defined`.
+ * @param {object} step
+ * @param {string} label - Path of the step, e.g. "steps[2]"
+ * @param {Set<string>} defined - variables available to this step
+ * @returns {string[]} errors
+ */
+function validateStepVariables(step, label, defined) {
+  const errors = [];
+  const refs = findTemplateRefs([step.params, step.expect, step.on_error, step.condition, step.until, step.list]);
+  for (const name of refs) {
+    if (!defined.has(name)) {
+      errors.push(`${label}: variable "{{${name}}}" is used before it is defined`);
+    }
+  }
+
+  if (step.save_as !== undefined) {
+    if (typeof step.save_as !== 'string' || !VARIABLE_NAME_PATTERN.test(step.save_as)) {
+      errors.push(`${label}.save_as: must be a variable name (letters, digits and "_")`);
+    } else if (!SAVEABLE_ACTIONS.includes(step.action)) {
+      errors.push(`${label}.save_as: only supported on ${SAVEABLE_ACTIONS.join(', ')}`);
+    } else {
+      defined.add(step.save_as);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates tab handles and switch_tab selectors. Handles declared by this
+ * step are added to `tabHandles` so later steps can refer to them.
+ * @param {object} step
+ * @param {string} label - Path of the step, e.g. "steps[2]"
+ * @param {Set<string>} tabHandles - handles declared by earlier steps
+ * @returns {string[]} errors
+ */
+function validateTabStep(step, label, tabHandles) {
+  const errors = [];
+  const params = step.params && typeof step.params === 'object' ? step.params : {};
+
+  if ((step.action === 'open_url' || step.action === 'new_tab') && params.as !== undefined) {
+    if (typeof params.as !== 'string' || !TAB_HANDLE_PATTERN.test(params.as)) {
+      errors.push(`${label}.params.as: must be a tab handle name (letters, digits, "_" or "-", max 32 chars)`);
+    } else {
+      tabHandles.add(params.as);
+    }
+  }
+
+  if (step.action !== 'switch_tab') return errors;
+
+  const selectors = SWITCH_TAB_SELECTORS.filter(key => params[key] !== undefined);
+  if (selectors.length !== 1) {
+    errors.push(`${label}.params: switch_tab needs exactly one of ${SWITCH_TAB_SELECTORS.join(', ')}`);
+    return errors;
+  }
+  switch (selectors[0]) {
+    case 'handle':
+      if (!tabHandles.has(params.handle)) {
+        errors.push(`${label}.params.handle: "${params.handle}" is not opened with "as" by an earlier step`);
+      }
+      break;
+    case 'url_pattern':
+      if (typeof params.url_pattern !== 'string') {
+        errors.push(`${label}.params.url_pattern: must be a string`);
+        break;
+      }
+      try {
+        new RegExp(params.url_pattern);
+      } catch (_) {
+        errors.push(`${label}.params.url_pattern: invalid regular expression`);
+      }
+      break;
+    case 'title':
+      if (typeof params.title !== 'string' || !params.title.trim()) {
+        errors.push(`${label}.params.title: must be a non-empty string`);
+      }
+      break;
+    case 'index':
+      if (!Number.isInteger(params.index) || params.index < 0) {
+        errors.push(`${label}.params.index: must be a non-negative integer`);
+      }
+      break;
+  }
+  return errors;
+}
+
+/**
+ * Returns the execution limits for a plan source, with user overrides applied
+ * and clamped to the hard ceilings.
+ * @param {string} source - one of PLAN_SOURCES
+ * @param {object} [overrides] - stored settings, shaped like DEFAULT_EXECUTION_LIMITS
+ * @returns {{ max_steps: number, max_duration_s: number }}
+ */
+function resolveExecutionLimits(source, overrides = {}) {
+  const defaults = DEFAULT_EXECUTION_LIMITS[source] || DEFAULT_EXECUTION_LIMITS.manual;
+  const custom = overrides?.[source] || {};
+  const clamp = (value, fallback, ceiling) =>
+    Number.isInteger(value) && value >= 1 ? Math.min(value, ceiling) : fallback;
+  return {
+    max_steps: clamp(custom.max_steps, defaults.max_steps, STEP_LIMIT_CEILING),
+    max_duration_s: clamp(custom.max_duration_s, defaults.max_duration_s, DURATION_LIMIT_CEILING_S),
+  };
+}
+
 /**
  * Validates that a plan object conforms to the shared schema.
  * @param {object} plan - The parsed JSON plan
+ * @param {{ maxSteps?: number, tabHandles?: Iterable<string> }} [options] - step limit for
+ *   the plan's source; tab handles already open before the plan's first step
  * @returns {{ valid: boolean, errors: string[], plan: object|null }}
  */
-function validatePlan(plan) {
+function validatePlan(plan, options = {}) {
+  const maxSteps = options.maxSteps || MAX_STEPS;
   const errors = [];
 
   if (!plan || typeof plan !== 'object') {
     return { valid: false, errors: ['Plan is not a valid object'], plan: null };
   }
 
+  if (plan.schema_version === undefined) {
+    plan.schema_version = PLAN_SCHEMA_VERSION;
+  } else if (!SUPPORTED_SCHEMA_VERSIONS.includes(plan.schema_version)) {
+    return {
+      valid: false,
+      errors: [`schema_version: unsupported version ${JSON.stringify(plan.schema_version)} (supported: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`],
+      plan: null,
+    };
+  }
+
   // Accept both "steps" and "actions" keys for flexibility
   const steps = plan.steps || plan.actions;
   if (!Array.isArray(steps)) {
-    return { valid: false, errors: ['Plan must contain a "steps" array'], plan: null };
+    return { valid: false, errors: ['steps: plan must contain a "steps" array'], plan: null };
   }
 
   // Normalize to "steps"
@@ -64,77 +732,505 @@ function validatePlan(plan) {
   }
 
   // Enforce step limit
-  if (steps.length > MAX_STEPS) {
-    errors.push(`Plan has ${steps.length} steps, maximum allowed is ${MAX_STEPS}`);
+  if (steps.length > maxSteps) {
+    errors.push(`steps: plan has ${steps.length} steps, maximum allowed is ${maxSteps}`);
     return { valid: false, errors, plan: null };
   }
 
   if (steps.length === 0) {
-    errors.push('Plan has no steps');
+    errors.push('steps: plan has no steps');
     return { valid: false, errors, plan: null };
   }
 
-  // Validate each step
+  errors.push(...validateVariables(plan.variables));
+
+  const state = {
+    errors,
+    stepCount: 0,
+    // Named so far ("as" on open_url / new_tab), in plan order. Single agentic
+    // steps pass the handles their run already has open.
+    tabHandles: new Set(options.tabHandles || []),
+  };
+  // Variables available so far: plan.variables, then each earlier "save_as"
+  validateSteps(steps, 'steps', new Set(Object.keys(plan.variables || {})), 0, state);
+
+  // Nested steps count toward the limit too
+  if (state.stepCount > maxSteps) {
+    errors.unshift(`steps: plan has ${state.stepCount} steps including nested ones, maximum allowed is ${maxSteps}`);
+  }
+
+  return { valid: errors.length === 0, errors, plan: errors.length === 0 ? plan : null };
+}
+
+/**
+ * Validates a list of steps in order, recursing into control-flow bodies.
+ * @param {object[]} steps
+ * @param {string} path - "steps" at the top level, e.g. "steps[2].then" when nested
+ * @param {Set<string>} defined - variables available to the first step
+ * @param {number} depth - control-flow nesting depth of this list
+ * @param {{ errors: string[], stepCount: number, tabHandles: Set<string> }} state
+ */
+function validateSteps(steps, path, defined, depth, state) {
+  const { errors } = state;
+
   for (let i = 0; i < steps.length; i++) {
     const step = steps[i];
-    if (!step.action) {
-      errors.push(`Step ${i + 1}: missing "action" field`);
+    const label = `${path}[${i}]`;
+    state.stepCount++;
+
+    if (!step || !step.action) {
+      errors.push(`${label}.action: is required`);
+      continue;
+    }
+    if (CONTROL_ACTIONS.includes(step.action)) {
+      validateControlStep(step, label, defined, depth, state);
       continue;
     }
     if (!ALLOWED_ACTIONS.includes(step.action)) {
-      errors.push(`Step ${i + 1}: unknown action "${step.action}"`);
+      errors.push(`${label}.action: unknown action "${step.action}"`);
     }
-    if (!step.params || typeof step.params !== 'object') {
-      errors.push(`Step ${i + 1}: missing or invalid "params" object`);
+    if (!step.params || typeof step.params !== 'object' || Array.isArray(step.params)) {
+      errors.push(`${label}.params: must be an object`);
+    } else if (PARAM_SCHEMAS[step.action]) {
+      errors.push(...validateAgainstSchema(step.params, PARAM_SCHEMAS[step.action], `${label}.params`));
+      if (ID_TARGETABLE_ACTIONS.includes(step.action) && !step.params.target && !step.params.target_id) {
+        errors.push(`${label}.params: ${step.action} needs a "target" or "target_id"`);
+      }
+      if (step.action === 'wait_for' && !step.params.target && !step.params.network_idle) {
+        errors.push(`${label}.params: wait_for needs a "target" and/or "network_idle"`);
+      }
     }
+    errors.push(...validateTabStep(step, label, state.tabHandles));
+    errors.push(...validateErrorPolicy(step.on_error, label));
+    errors.push(...validateExpectation(step.expect, label));
+    errors.push(...validateStepVariables(step, label, defined));
   }
+}
 
-  return { valid: errors.length === 0, errors, plan: errors.length === 0 ? plan : null };
+/**
+ * Validates an if / repeat / for_each step and its nested steps. Variables
+ * saved inside a body are only visible inside that body.
+ */
+function validateControlStep(step, label, defined, depth, state) {
+  const { errors } = state;
+
+  if (depth >= MAX_NESTING_DEPTH) {
+    errors.push(`${label}: control-flow steps can be nested at most ${MAX_NESTING_DEPTH} deep`);
+    return;
+  }
+  if (step.params !== undefined && (!step.params || typeof step.params !== 'object')) {
+    errors.push(`${label}.params: must be an object if present`);
+  }
+  if (step.expect !== undefined || step.save_as !== undefined) {
+    errors.push(`${label}: ${step.action} does not support "expect" or "save_as"`);
+  }
+  errors.push(...validateErrorPolicy(step.on_error, label));
+  errors.push(...validateStepVariables(step, label, defined));
+
+  const body = (key, scope, optional = false) => {
+    const nested = step[key];
+    if (nested === undefined && optional) return;
+    if (!Array.isArray(nested) || nested.length === 0) {
+      errors.push(`${label}.${key}: must be a non-empty array of steps`);
+      return;
+    }
+    validateSteps(nested, `${label}.${key}`, scope, depth + 1, state);
+  };
+  const maxIterations = (required) => {
+    const value = step.max_iterations;
+    if (value === undefined && !required) return;
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LOOP_ITERATIONS) {
+      errors.push(`${label}.max_iterations: must be an integer between 1 and ${MAX_LOOP_ITERATIONS}`);
+    }
+  };
+
+  switch (step.action) {
+    case 'if':
+      errors.push(...validateCondition(step.condition, `${label}.condition`));
+      body('then', new Set(defined));
+      body('else', new Set(defined), true);
+      break;
+
+    case 'repeat':
+      maxIterations(true);
+      if (step.until !== undefined) errors.push(...validateCondition(step.until, `${label}.until`));
+      body('steps', new Set(defined));
+      break;
+
+    case 'for_each': {
+      maxIterations(false);
+      const sources = ['elements', 'list'].filter(key => step[key] !== undefined);
+      if (sources.length !== 1) {
+        errors.push(`${label}: for_each needs exactly one of "elements" or "list"`);
+      } else if (sources[0] === 'elements') {
+        const el = step.elements;
+        if (!el || typeof el !== 'object' || typeof el.target !== 'string' || !el.target) {
+          errors.push(`${label}.elements: must be an object with a "target" string`);
+        } else if (el.type !== undefined && !ELEMENT_TARGET_TYPES.includes(el.type)) {
+          errors.push(`${label}.elements.type: must be one of ${ELEMENT_TARGET_TYPES.join(', ')}`);
+        }
+      } else if (!Array.isArray(step.list) && typeof step.list !== 'string') {
+        errors.push(`${label}.list: must be an array or a "{{variable}}"`);
+      }
+      if (typeof step.as !== 'string' || !VARIABLE_NAME_PATTERN.test(step.as)) {
+        errors.push(`${label}.as: must be a variable name (letters, digits and "_")`);
+        body('steps', new Set(defined));
+      } else {
+        // The current item and its 0-based position
+        body('steps', new Set([...defined, step.as, `${step.as}_index`]));
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Kind of secret a field holds, judged from its descriptive text (a target
+ * description, label, name or id), or null. Injected page functions do the
+ * same with the field's attributes, see SENSITIVE_FIELD_PATTERNS.
+ * @param {string} text
+ * @returns {'payment'|'otp'|'password'|null}
+ */
+function sensitiveFieldKind(text) {
+  if (!text || typeof text !== 'string') return null;
+  const words = text.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ');
+  const match = SENSITIVE_FIELD_PATTERNS.find(entry => entry.pattern.test(words));
+  return match ? match.kind : null;
+}
+
+/**
+ * A step's params with the text it types into a sensitive field redacted,
+ * for showing the step to the user or sending it to the desktop. Text that is
+ * only {{name}} references is kept: the variables hold the secret.
+ * @param {object} step
+ * @returns {object}
+ */
+function redactStepParams(step) {
+  const params = step.params || {};
+  const sensitive = step.action === 'type_into' &&
+    (step.sensitive_field || sensitiveFieldKind(params.target));
+  const literal = typeof params.text === 'string' && params.text.replace(TEMPLATE_PATTERN, '').trim() !== '';
+  return sensitive && literal ? { ...params, text: REDACTED_VALUE } : params;
+}
+
+/**
+ * A copy of `steps` for storage, nested and fallback steps included, with
+ * each step's params passed through redactStepParams.
+ * @param {object[]} steps
+ * @returns {object[]}
+ */
+function redactPlanSteps(steps) {
+  return (steps || []).map((step) => {
+    const copy = { ...step };
+    if (step.params) copy.params = redactStepParams(step);
+    for (const key of NESTED_STEP_KEYS) {
+      if (Array.isArray(step[key])) copy[key] = redactPlanSteps(step[key]);
+    }
+    if (step.on_error?.policy === 'fallback' && step.on_error.step) {
+      copy.on_error = { ...step.on_error, step: redactPlanSteps([step.on_error.step])[0] };
+    }
+    return copy;
+  });
+}
+
+/**
+ * Variables of a plan that hold secrets: ones named like a secret
+ * ("password", "card_number", "otp") and ones typed into a field that looks
+ * sensitive. Their values are redacted wherever a run is stored or reported.
+ * @param {{ steps: object[], variables?: object }} plan
+ * @returns {string[]}
+ */
+function findSensitiveVariables(plan) {
+  const names = new Set(Object.keys(plan.variables || {}));
+  const secrets = new Set();
+  walkSteps(plan.steps || [], (step) => {
+    findTemplateRefs([step.params, step.expect, step.on_error, step.condition, step.until, step.list], names);
+    const params = step.params || {};
+    if (step.action === 'type_into' && (step.sensitive_field || sensitiveFieldKind(params.target))) {
+      findTemplateRefs(params.text, secrets);
+    }
+  });
+  for (const name of names) {
+    if (sensitiveFieldKind(name)) secrets.add(name);
+  }
+  return [...secrets];
+}
+
+/**
+ * A copy of `variables` with the values of `names` replaced by REDACTED_VALUE.
+ * @param {object} variables
+ * @param {Iterable<string>} names
+ * @returns {object}
+ */
+function redactVariables(variables, names) {
+  const redacted = { ...(variables || {}) };
+  for (const name of names) {
+    if (Object.prototype.hasOwnProperty.call(redacted, name)) redacted[name] = REDACTED_VALUE;
+  }
+  return redacted;
+}
+
+/**
+ * Scores one step against RISK_RULES. Typing only counts as acting when it
+ * submits (pressEnter); control-flow steps are scored through their children.
+ * Typing into a field that looks sensitive always needs approval.
+ * @param {object} step
+ * @returns {{ level: 'safe'|'confirm'|'forbidden', reasons: string[], sensitive: string|null }}
+ */
+function assessStepRisk(step) {
+  const text = Object.values(step.params || {})
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+  const acting = ACTING_ACTIONS.includes(step.action) &&
+    (step.action !== 'type_into' || !!step.params?.pressEnter);
+
+  let level = 'safe';
+  const reasons = [];
+  for (const rule of RISK_RULES) {
+    if (rule.level === 'confirm' && !acting) continue;
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+    reasons.push(`"${match[0]}" ${rule.reason}`);
+    if (RISK_LEVELS.indexOf(rule.level) > RISK_LEVELS.indexOf(level)) level = rule.level;
+  }
+
+  const sensitive = step.action === 'type_into' ? sensitiveFieldKind(step.params?.target) : null;
+  if (sensitive) {
+    reasons.push(`types into a ${sensitive} field`);
+    if (level === 'safe') level = 'confirm';
+  }
+  return { level, reasons, sensitive };
+}
+
+/**
+ * Reduces a domain, hostname or URL to the form used in domain lists:
+ * lowercase, no scheme, port, path, "www." or "*." prefix.
+ * "https://www.Shop.com/cart" and "*.shop.com" both become "shop.com".
+ * @param {string} domain
+ * @returns {string}
+ */
+function normalizeDomain(domain) {
+  return String(domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/:?#].*$/, '')
+    .replace(/^(\*\.|www\.)/, '');
+}
+
+/**
+ * Hostname of an http(s) URL, or null for anything else (about:blank,
+ * chrome:// pages, invalid URLs).
+ * @param {string} url
+ * @returns {string|null}
+ */
+function hostnameOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.hostname : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Hostname an open_url / new_tab URL will load, or null when the host itself
+ * is a {{variable}} (known only once the executor fills it in) or the URL
+ * isn't http(s). Templates in the path or query leave the host known.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function plannedHostnameOf(url) {
+  const hostname = hostnameOf(url);
+  return hostname && !hostname.includes('{{') ? hostname : null;
 }
 
 /**
- * Runs the safety layer on a validated plan.
+ * True if `hostname` is one of `domains` or a subdomain of one
+ * ("mail.google.com" matches "google.com", "notgoogle.com" does not).
+ * @param {string} hostname
+ * @param {Iterable<string>} domains - normalized domains
+ * @returns {boolean}
+ */
+function isDomainAllowed(hostname, domains) {
+  const host = normalizeDomain(hostname);
+  for (const domain of domains) {
+    if (domain && (host === domain || host.endsWith(`.${domain}`))) return true;
+  }
+  return false;
+}
+
+/**
+ * Cleans stored domain policies: normalized domains, known policies, one
+ * entry per domain. Entries of the older plain allowlist become "full".
+ * @param {{ domain: string, policy: string }[]} policies
+ * @param {string[]} [legacyAllowlist]
+ * @returns {{ domain: string, policy: string }[]}
+ */
+function normalizeDomainPolicies(policies, legacyAllowlist = []) {
+  const byDomain = new Map();
+  for (const domain of legacyAllowlist || []) {
+    if (normalizeDomain(domain)) byDomain.set(normalizeDomain(domain), 'full');
+  }
+  for (const entry of policies || []) {
+    const domain = normalizeDomain(entry?.domain);
+    if (domain && DOMAIN_POLICIES.includes(entry.policy)) byDomain.set(domain, entry.policy);
+  }
+  return [...byDomain].map(([domain, policy]) => ({ domain, policy }));
+}
+
+/**
+ * The policy of the most specific entry covering `hostname`
+ * ("admin.shop.com" wins over "shop.com"), or null if none does.
+ * @returns {string|null}
+ */
+function domainPolicyFor(hostname, policies) {
+  let best = null;
+  for (const entry of policies || []) {
+    if (isDomainAllowed(hostname, [entry.domain]) && (!best || entry.domain.length > best.domain.length)) best = entry;
+  }
+  return best ? best.policy : null;
+}
+
+/**
+ * Why `action` may not run on (or navigate to) a page of `hostname` under the
+ * user's domain policies, or null if it may.
+ * @returns {string|null}
+ */
+function domainPolicyViolation(action, hostname, policies) {
+  const policy = domainPolicyFor(hostname, policies);
+  const domain = normalizeDomain(hostname);
+  if (policy === 'never') return `${domain} is set to never automate`;
+  if (policy === 'read_only' && READ_ONLY_DENIED_ACTIONS.includes(action)) {
+    return `${domain} is read-only — ${action} is not allowed there`;
+  }
+  return null;
+}
+
+/**
+ * Instruction-like phrases in `text` (see INJECTION_PATTERNS).
+ * @param {string} text
+ * @returns {string[]} the matched snippets
+ */
+function findInjectionFlags(text) {
+  if (!text || typeof text !== 'string') return [];
+  const flags = [];
+  for (const pattern of INJECTION_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) flags.push(match[0].trim());
+  }
+  return flags;
+}
+
+/**
+ * True if the user's request names `hostname` — the domain itself
+ * ("bbc.co.uk") or its site name as a word ("open BBC news").
+ * @param {string} hostname
+ * @param {string} intent - the user's original request
+ * @returns {boolean}
+ */
+function isDomainMentioned(hostname, intent) {
+  const text = String(intent || '').toLowerCase();
+  const domain = normalizeDomain(hostname);
+  if (text.includes(domain)) return true;
+  // Site name: the label before the public suffix ("bbc" in bbc.co.uk)
+  const labels = domain.split('.');
+  const suffixLength = labels.length > 2 && labels[labels.length - 2].length <= 3 ? 2 : 1;
+  const name = labels[labels.length - suffixLength - 1] || labels[0];
+  return name.length >= 2 && new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')}\\b`).test(text);
+}
+
+/**
+ * Runs the safety layer on a validated plan. Each step (and fallback step) is
+ * marked with "safety_check": "passed", "confirm" (the executor asks the user
+ * before running it, see "risk_reasons") or "blocked".
  * @param {object} plan - A validated plan object
- * @returns {{ safe: boolean, violations: string[], plan: object }}
+ * The domains the plan opens become plan.allowed_domains: the executor only
+ * clicks, types and selects on those (plus the user's allowlist).
+ * With `domainPolicies`, steps that would break a domain's policy block the
+ * plan. The page each step runs on is followed through the plan's literal
+ * open_url / new_tab URLs, so this is a best-effort early check — the
+ * executor checks every step against the live page.
+ * With `intent` (the user's original request), navigating to a domain the
+ * request never mentions blocks the plan unless it is a search engine or a
+ * "full" policy allows it — a hostile page or chatbot answer can't send the
+ * run somewhere new.
+ * @param {{ domainPolicies?: { domain: string, policy: string }[], intent?: string|null }} [options] - a null intent (no request) is not checked
+ * @returns {{ safe: boolean, violations: string[], confirmations: { label: string, action: string, reasons: string[] }[],
+ *   allowedDomains: string[], plan: object }}
  */
-function runSafetyCheck(plan) {
+function runSafetyCheck(plan, options = {}) {
   const violations = [];
   const steps = plan.steps;
+  const domainPolicies = options.domainPolicies || [];
 
-  // Collect allowed domains from open_url steps
+  // Collect allowed domains from open_url / new_tab steps, nested ones included
   const allowedDomains = new Set();
-  for (const step of steps) {
-    if (step.action === 'open_url' && step.params?.url) {
-      try {
-        const url = new URL(step.params.url);
-        allowedDomains.add(url.hostname);
-      } catch (_) { /* invalid URL caught elsewhere */ }
+  walkSteps(steps, (step) => {
+    if ((step.action === 'open_url' || step.action === 'new_tab') && step.params?.url) {
+      // Templated hosts are checked when the executor fills them in
+      const hostname = plannedHostnameOf(step.params.url);
+      if (hostname) allowedDomains.add(normalizeDomain(hostname));
     }
-  }
+  });
 
-  for (let i = 0; i < steps.length; i++) {
-    const step = steps[i];
-    const paramsStr = JSON.stringify(step.params || {}).toLowerCase();
+  const confirmations = [];
+  const mark = (step, label) => {
+    const risk = assessStepRisk(step);
+    if (risk.level === 'forbidden') {
+      violations.push(`${label}: ${risk.reasons.join(', ')} — BLOCKED`);
+      step.safety_check = 'blocked';
+    } else if (risk.level === 'confirm') {
+      confirmations.push({ label, action: step.action, reasons: risk.reasons });
+      step.safety_check = 'confirm';
+      step.risk_reasons = risk.reasons;
+    } else {
+      step.safety_check = 'passed';
+    }
+    // Approving the step lets the executor use the sensitive field it names
+    if (risk.sensitive && risk.level === 'confirm') step.sensitive_field = risk.sensitive;
+    else delete step.sensitive_field;
+  };
 
-    // Check destructive keywords
-    for (const keyword of DESTRUCTIVE_KEYWORDS) {
-      if (paramsStr.includes(keyword)) {
-        violations.push(`Step ${i + 1}: contains destructive keyword "${keyword}" — BLOCKED`);
+  const fullAccess = domainPolicies.filter(entry => entry.policy === 'full').map(entry => entry.domain);
+  const unmentionedAllowed = [...fullAccess, ...SEARCH_ENGINE_DOMAINS];
+  let currentHost = null; // page the next step runs on, when it can be known
+  const checkPolicy = (step, label) => {
+    if (step.action === 'open_url' || step.action === 'new_tab') {
+      currentHost = step.params?.url ? plannedHostnameOf(step.params.url) : null;
+      if (currentHost && options.intent != null &&
+        !isDomainMentioned(currentHost, options.intent) && !isDomainAllowed(currentHost, unmentionedAllowed)) {
+        violations.push(`${label}: navigates to ${normalizeDomain(currentHost)}, which the request never mentions — BLOCKED`);
         step.safety_check = 'blocked';
       }
+    } else if (step.action === 'switch_tab' || step.action === 'close_tab') {
+      currentHost = null;
     }
+    const violation = currentHost && domainPolicyViolation(step.action, currentHost, domainPolicies);
+    if (violation) {
+      violations.push(`${label}: ${violation} — BLOCKED`);
+      step.safety_check = 'blocked';
+    }
+  };
 
-    // Origin validation: non-navigation actions should target allowed domains
-    // (This is enforced at execution time by the executor)
-
-    if (!step.safety_check || step.safety_check !== 'blocked') {
-      step.safety_check = 'passed';
+  walkSteps(steps, (step, label) => {
+    mark(step, label);
+    checkPolicy(step, label);
+    // A fallback step runs in place of this one and is scored on its own
+    const fallbackStep = step.on_error?.policy === 'fallback' ? step.on_error.step : null;
+    if (fallbackStep) {
+      mark(fallbackStep, `${label} fallback`);
+      checkPolicy(fallbackStep, `${label} fallback`);
     }
-  }
+  });
+  plan.allowed_domains = [...allowedDomains];
 
   return {
     safe: violations.length === 0,
     violations,
+    confirmations,
+    allowedDomains: plan.allowed_domains,
     plan,
   };
 }
@@ -150,10 +1246,13 @@ function maskPII(text) {
   let masked = text.replace(/[\w._%+-]+@[\w.-]+\.[a-zA-Z]{2,}/g, '[EMAIL_MASKED]');
   // Mask phone numbers (basic patterns)
   masked = masked.replace(/\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b/g, '[PHONE_MASKED]');
-  // Mask credit card numbers (basic 16-digit patterns)
+  // Mask credit card numbers (16-digit groups, or 13-19 digits in a row)
   masked = masked.replace(/\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g, '[CC_MASKED]');
-  // Mask passwords in JSON-like contexts
-  masked = masked.replace(/"password"\s*:\s*"[^"]*"/gi, '"password": "[MASKED]"');
+  masked = masked.replace(/\b\d{13,19}\b/g, '[CC_MASKED]');
+  // Mask one-time codes and card security codes named as such
+  masked = masked.replace(/\b(otp|one[- ]time (?:code|password)|verification code|security code|auth(?:entication)? code|2fa code|cvv2?|cvc|pin)(\s*(?:is|:|=)?\s*)\d{3,8}\b/gi, '$1$2[CODE_MASKED]');
+  // Mask secrets in JSON-like contexts
+  masked = masked.replace(/"(password|passwd|pwd|passcode|pin|otp|cvv|cvc|card_?number|security_?code|token|secret)"\s*:\s*"[^"]*"/gi, '"$1": "[MASKED]"');
   return masked;
 }
 
@@ -185,15 +1284,98 @@ function extractJSON(responseText) {
   return null;
 }
 
+/**
+ * Hex SHA-256 of a string (Web Crypto, so it also runs under Node).
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Recomputes every hash and link in an audit chain: each record's hash covers
+ * the record without it, and prev_hash / seq link it to the one before.
+ * The chain alone can't show records cut off the end, or a log rewritten and
+ * re-hashed from scratch, so an anchor kept outside the log (the seq and hash
+ * of the newest record written) is checked against its last record.
+ * @param {object[]} records - the full stored log, oldest first
+ * @param {{ seq: number, hash: string }|null} [anchor]
+ * @returns {Promise<{ ok: boolean, checked: number, broken_at: number|null }>}
+ *   broken_at is the seq of the first record that doesn't match
+ */
+async function verifyAuditChain(records, anchor = null) {
+  for (let i = 0; i < records.length; i++) {
+    const { hash, ...body } = records[i];
+    const previous = records[i - 1];
+    const linked = !previous || (body.prev_hash === previous.hash && body.seq === previous.seq + 1);
+    if (!linked || hash !== await sha256Hex(JSON.stringify(body))) {
+      return { ok: false, checked: records.length, broken_at: body.seq ?? i + 1 };
+    }
+  }
+  const last = records[records.length - 1];
+  if (anchor && (last?.seq !== anchor.seq || last.hash !== anchor.hash)) {
+    // Truncated: the first missing seq; rewritten: the anchored one
+    const brokenAt = last && last.seq < anchor.seq ? last.seq + 1 : anchor.seq;
+    return { ok: false, checked: records.length, broken_at: brokenAt };
+  }
+  return { ok: true, checked: records.length, broken_at: null };
+}
+
 // Export for use in background.js (ES module)
 // In content scripts, these are injected via chrome.scripting so we attach to globalThis
 if (typeof globalThis !== 'undefined') {
   globalThis.AutonionSchema = {
     validatePlan,
     runSafetyCheck,
+    assessStepRisk,
+    normalizeErrorPolicy,
+    validateAgainstSchema,
+    resolveExecutionLimits,
+    resolveTemplates,
+    resolveStepTemplates,
+    findPlanParameters,
     maskPII,
+    sensitiveFieldKind,
+    redactStepParams,
+    redactPlanSteps,
+    findSensitiveVariables,
+    redactVariables,
     extractJSON,
+    sha256Hex,
+    verifyAuditChain,
+    normalizeDomain,
+    hostnameOf,
+    isDomainAllowed,
+    normalizeDomainPolicies,
+    findInjectionFlags,
+    isDomainMentioned,
+    domainPolicyFor,
+    domainPolicyViolation,
     ALLOWED_ACTIONS,
+    CONTROL_ACTIONS,
+    RISK_LEVELS,
+    ACTING_ACTIONS,
+    DOMAIN_POLICIES,
+    SEARCH_ENGINE_DOMAINS,
+    INJECTION_PATTERNS,
+    SENSITIVE_FIELD_PATTERNS,
+    REDACTED_VALUE,
+    PARAM_SCHEMAS,
+    PLAN_SCHEMA_VERSION,
+    ERROR_POLICIES,
+    EXPECT_CONDITIONS,
+    DEFAULT_EXPECT_TIMEOUT_MS,
+    WAIT_FOR_STATES,
     MAX_STEPS,
+    PLAN_SOURCES,
+    LOG_LEVELS,
+    LOG_CATEGORIES,
+    DEFAULT_EXECUTION_LIMITS,
+    STEP_LIMIT_CEILING,
+    DURATION_LIMIT_CEILING_S,
+    MAX_LOOP_ITERATIONS,
+    MAX_EXECUTED_STEPS,
   };
 }